@@ -0,0 +1,30 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "brokenCollections";
+exports.severity = "critical";
+exports.description = "collections in Plan with either name or id missing";
+exports.requires = "3.3.23 - 3.7.99";
+
+// `info.broken` is filled by `helper.extractDatabases`
+
+exports.print = function (info) {
+  if (info.broken.length > 0) {
+    helper.printBad('Your cluster has broken collections');
+    const table = new AsciiTable('Broken');
+    table.setHeading('Database', 'CID');
+
+    _.each(info.broken, function (zombie) {
+      table.addRow(zombie.database, zombie.cid);
+    });
+
+    helper.printTable(table);
+    return true;
+  } else {
+    helper.printGood('Your cluster does not have broken collections');
+    return false;
+  }
+};
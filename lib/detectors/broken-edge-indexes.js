@@ -0,0 +1,78 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const helper = require('../helper.js');
+
+exports.id = "brokenEdgeIndexes";
+exports.severity = "critical";
+exports.description = "edge indexes covering both _from and _to";
+exports.requires = "3.3.23 - 3.7.99";
+
+exports.extract = function (info, dump) {
+  info.brokenEdgeIndexes = [];
+  const planCollections = dump.arango.Plan.Collections;
+  for (const [db, collections] of Object.entries(planCollections)) {
+    for (const [name, col] of Object.entries(collections)) {
+      const {indexes} = col;
+      if (!indexes || Object.keys(indexes).length === 0) {
+        continue;
+      }
+      let failed = false;
+      const newIndexes = [];
+      for (const [pos, index] of Object.entries(indexes)) {
+        if (index.type === "edge" &&
+            index.name === "edge" &&
+            index.id === "1" &&
+            index.fields.length > 1) {
+          failed = true;
+        }
+
+        if (index.id === "1") {
+          newIndexes.push({
+            id: "1",
+            type: "edge",
+            name: "edge",
+            fields: ["_from"],
+            unique: false,
+            sparse: false
+          });
+          newIndexes.push({
+            id: "2",
+            type: "edge",
+            name: "edge",
+            fields: ["_to"],
+            unique: false,
+            sparse: false
+          });
+        } else if (index.id !== "2") {
+          newIndexes.push(index);
+        }
+      }
+      if (failed) {
+        info.brokenEdgeIndexes.push({
+          path: "/Plan/Collections/" + db + "/" + name + "/indexes",
+          bad: indexes,
+          good: newIndexes
+        });
+      }
+    }
+  }
+};
+
+exports.print = function (info) {
+  if (info.brokenEdgeIndexes.length > 0) {
+    helper.printBad('Your cluster has broken edge indexes');
+    return true;
+  } else {
+    helper.printGood('Your cluster does not have broken edge indexes');
+    return false;
+  }
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("broken-edge-indexes.json", JSON.stringify(info.brokenEdgeIndexes),
+    { issue: "broken-edge-indexes", task: "repair-broken-edge-indexes", role: "COORDINATOR" });
+  print("To remedy the broken-edge-index issue please run the task " +
+        "`repair-broken-edge-indexes` AGAINST A COORDINATOR, e.g.:");
+  print(` ./maintenance.sh <options> repair-broken-edge-indexes ${file}`);
+  print();
+};
@@ -0,0 +1,174 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "buildingCollections";
+exports.severity = "warning";
+exports.description = "collections and indexes left with isBuilding by a coordinator which is gone";
+exports.requires = "3.3.23 - 3.11.99";
+
+// a creation is only abandoned if its coordinator is gone for good, a BAD
+// coordinator may just have missed a heartbeat
+const abandoned = ["FAILED", "restarted", "unknown"];
+
+// "GOOD" if the coordinator can still finish the creation
+const coordinatorStatus = (dump, object) => {
+  const coordinator = object.coordinator;
+  const health = _.get(dump.arango.Supervision.Health, [coordinator]);
+
+  if (coordinator === undefined || health === undefined) {
+    return "unknown";
+  }
+
+  const rebootId = _.get(dump.arango.Current, ['ServersKnown', coordinator, 'rebootId']);
+
+  if (object.coordinatorRebootId !== undefined && rebootId !== undefined && rebootId !== object.coordinatorRebootId) {
+    return "restarted";
+  }
+
+  return health.Status;
+};
+
+// the errors of the shards in Current, `indexIds` restricts them to these indexes
+const shardErrors = (current, indexIds) => {
+  const errors = [];
+
+  _.each(current, function (shard, name) {
+    if (indexIds === undefined && shard.error) {
+      errors.push({ shard: name, errorNum: shard.errorNum, errorMessage: shard.errorMessage });
+    }
+    _.each(shard.indexes, function (index) {
+      if (index.error && (indexIds === undefined || _.includes(indexIds, String(index.id)))) {
+        errors.push({ shard: name, index: index.id, errorNum: index.errorNum, errorMessage: index.errorMessage });
+      }
+    });
+  });
+
+  return errors;
+};
+
+// true if all planned shards exist in Current without errors
+const isComplete = (collection, current, indexId) => {
+  return _.every(_.keys(collection.shards), function (name) {
+    const shard = _.get(current, [name]);
+
+    if (shard === undefined || shard.error || _.isEmpty(shard.servers)) {
+      return false;
+    }
+
+    return indexId === undefined ||
+      _.some(shard.indexes, (index) => String(index.id) === String(indexId) && !index.error);
+  });
+};
+
+exports.extract = function (info, dump) {
+  const planCollections = dump.arango.Plan.Collections;
+  const currentCollections = dump.arango.Current.Collections;
+
+  info.buildingCollections = [];
+  info.buildingCollectionsInProgress = 0;
+  info.buildingCollectionsRetry = [];
+
+  _.each(planCollections, function (collections, database) {
+    _.each(collections, function (collection, cid) {
+      const current = _.get(currentCollections, [database, cid], {});
+      const building = _.filter(collection.indexes, 'isBuilding');
+
+      if (!collection.isBuilding && building.length === 0) {
+        return;
+      }
+
+      const status = coordinatorStatus(dump, collection.isBuilding ? collection : building[0]);
+
+      if (status === "GOOD") {
+        ++info.buildingCollectionsInProgress;
+        return;
+      }
+
+      if (!_.includes(abandoned, status)) {
+        info.buildingCollectionsRetry.push({
+          database,
+          name: collection.name,
+          index: collection.isBuilding ? undefined : building.map((index) => index.name || index.id).join(", "),
+          coordinator: collection.isBuilding ? collection.coordinator : building[0].coordinator,
+          coordinatorStatus: status
+        });
+        return;
+      }
+
+      info.buildingCollections.push({
+        database,
+        cid,
+        name: collection.name,
+        coordinator: collection.isBuilding ? collection.coordinator : building[0].coordinator,
+        coordinatorStatus: status,
+        isBuilding: collection.isBuilding === true,
+        action: collection.isBuilding ? (isComplete(collection, current) ? "clear" : "delete") : undefined,
+        indexes: collection.isBuilding ? [] : building.map((index) => ({
+          id: index.id,
+          name: index.name,
+          action: isComplete(collection, current, index.id) ? "clear" : "delete"
+        })),
+        errors: shardErrors(current, collection.isBuilding ? undefined : building.map((index) => String(index.id))),
+        data: collection
+      });
+    });
+  });
+};
+
+exports.print = function (info) {
+  if (info.buildingCollectionsInProgress > 0) {
+    print("INFO: " + info.buildingCollectionsInProgress + " collection(s) or index(es) are being created by running coordinators");
+  }
+
+  if (info.buildingCollectionsRetry.length > 0) {
+    const table = new AsciiTable('isBuilding, retry later');
+    table.setHeading('Database', 'Collection', 'Index', 'Coordinator', 'Status');
+
+    _.each(info.buildingCollectionsRetry, function (entry) {
+      table.addRow(entry.database, entry.name, entry.index || "", entry.coordinator || "", entry.coordinatorStatus);
+    });
+
+    print("WARNING: the coordinators creating these collections or indexes are not healthy, please retry later");
+    helper.printTable(table);
+    print();
+  }
+
+  if (info.buildingCollections.length === 0) {
+    helper.printGood('Your cluster does not have abandoned collections or indexes with isBuilding');
+    return false;
+  }
+
+  helper.printBad('Your cluster has collections or indexes left with isBuilding');
+
+  const table = new AsciiTable('Abandoned isBuilding');
+  table.setHeading('Database', 'Collection', 'Index', 'Coordinator', 'Status', 'Action', 'Error');
+
+  _.each(info.buildingCollections, function (entry) {
+    const error = entry.errors.length > 0 ? entry.errors[0].errorMessage : "";
+
+    if (entry.isBuilding) {
+      table.addRow(entry.database, entry.name, "", entry.coordinator || "", entry.coordinatorStatus, entry.action, error);
+    }
+    entry.indexes.forEach(function (index) {
+      table.addRow(entry.database, entry.name, index.name || index.id, entry.coordinator || "",
+        entry.coordinatorStatus, index.action, error);
+    });
+  });
+
+  helper.printTable(table);
+  print();
+
+  return true;
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("building-collections.json", JSON.stringify(info.buildingCollections),
+    { issue: "building-collections", task: "repair-building-collections", role: "LEADER-AGENT" });
+  print("To delete the half-created collections and indexes and to clear the flag of the complete ones please " +
+        "run the task `repair-building-collections` AGAINST AN AGENT, e.g.:");
+  print(` ./maintenance.sh <options> repair-building-collections ${file}`);
+  print();
+};
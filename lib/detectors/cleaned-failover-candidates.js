@@ -0,0 +1,52 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const helper = require('../helper.js');
+
+exports.id = "cleanedFailoverCandidates";
+exports.severity = "warning";
+exports.description = "cleaned out servers still listed as failover candidates";
+exports.requires = "3.3.23 - 3.11.99";
+
+exports.extract = function (info, dump) {
+  const currentCollections = dump.arango.Current.Collections;
+  const cleanedServers = dump.arango.Target.CleanedServers;
+  const fixes = {};
+  Object.keys(currentCollections).forEach(function (dbname) {
+    const database = dump.arango.Current.Collections[dbname];
+    Object.keys(database).forEach(function (colname) {
+      const collection = database[colname];
+      Object.keys(collection).forEach(function (shname) {
+        const shard = collection[shname];
+        const candidates = helper.getFailoverCandidates(shard);
+        const inter = _.intersectionWith(cleanedServers, candidates);
+        let left = candidates;
+        left = _.difference(left, inter);
+        if (inter.length > 0) {
+          const n = "arango/Current/Collections/" + dbname + "/" +
+                colname + "/" + shname + "/failoverCandidates";
+          fixes[n] = [left, candidates];
+        }
+      });
+    });
+  });
+  info.correctFailoverCandidates = fixes;
+};
+
+exports.print = function (info) {
+  if (Object.keys(info.correctFailoverCandidates).length === 0) {
+    helper.printGood('Your cluster does not have any cleaned servers for failover');
+    return false;
+  } else {
+    helper.printBad('Your cluster has cleaned servers scheduled for failover');
+    return true;
+  }
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("cleaned-failovers.json", JSON.stringify(info.correctFailoverCandidates),
+    { issue: "cleaned-failover-candidates", task: "remove-cleaned-failovers", role: "LEADER-AGENT" });
+  print("To remedy the cleaned out failover db servers issue please run the task `remove-cleaned-failovers` against the leader AGENT, e.g.:");
+  print(` ./maintenance.sh <options> remove-cleaned-failovers ${file}`);
+  print();
+};
@@ -0,0 +1,145 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "collectionIntegrity";
+exports.severity = "critical";
+exports.description = "collections without database or shards, missing prototypes, shards on failed servers";
+exports.requires = "3.3.23 - 3.7.99";
+
+exports.extract = function (info, dump) {
+  const planCollections = dump.arango.Plan.Collections;
+  const planDBs = dump.arango.Plan.Databases;
+  info.noPlanDatabases = [];
+  info.noShardCollections = [];
+  info.realLeaderMissing = [];
+  info.leaderOnDeadServer = [];
+  info.followerOnDeadServer = [];
+  for (const [db, collections] of Object.entries(planCollections)) {
+    if (!_.has(planDBs, db)) {
+      // This database has Collections but is deleted.
+      info.noPlanDatabases.push(db, collections);
+      continue;
+    }
+    for (const [name, col] of Object.entries(collections)) {
+      const {shards, distributeShardsLike, isSmart} = col;
+      if (!shards || (Object.keys(shards).length === 0 && !isSmart) || shards.constructor !== Object) {
+        // We do not have shards
+        info.noShardCollections.push({db, name, col});
+        continue;
+      }
+
+      if (distributeShardsLike && !_.has(collections, distributeShardsLike)) {
+        // The prototype is missing
+        info.realLeaderMissing.push({db, name, distributeShardsLike, col});
+      }
+
+      for (const [shard, servers] of Object.entries(shards)) {
+        for (let i = 0; i < servers.length; ++i) {
+          if (!_.has(info.primaries, servers[i])) {
+            if (i === 0) {
+              info.leaderOnDeadServer.push({db, name, shard, server: servers[i], servers});
+            } else {
+              info.followerOnDeadServer.push({db, name, shard, server: servers[i], servers});
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+exports.print = function (info) {
+  const {
+    noPlanDatabases,
+    noShardCollections,
+    realLeaderMissing,
+    leaderOnDeadServer,
+    followerOnDeadServer
+  } = info;
+  let infected = false;
+  if (noPlanDatabases.length > 0) {
+    helper.printBad('Your cluster has some leftover collections from deleted databases');
+    const table = new AsciiTable('Deleted databases with leftover collections');
+    table.setHeading('Database');
+    for (const d of noPlanDatabases) {
+      table.addRow(d);
+    }
+    helper.printTable(table);
+    infected = true;
+  } else {
+    helper.printGood('Your cluster does not have any leftover collections from deleted databases');
+  }
+
+  if (noShardCollections.length > 0) {
+    helper.printBad('Your cluster has some collections without shards');
+    const table = new AsciiTable('Collections without shards');
+    table.setHeading('Database', 'CID');
+    for (const d of noShardCollections) {
+      table.addRow(d.db, d.name);
+    }
+    helper.printTable(table);
+    infected = true;
+  } else {
+    helper.printGood('Your cluster does not have any collections without shards');
+  }
+
+  if (realLeaderMissing.length > 0) {
+    helper.printBad('Your cluster misses some collection(s) used as leaders in distributeShardsLike');
+    const table = new AsciiTable('Real leader missing for collection');
+    table.setHeading('Database', 'CID', 'LeaderCID');
+    for (const d of realLeaderMissing) {
+      table.addRow(d.db, d.name, d.distributeShardsLike);
+    }
+    helper.printTable(table);
+    infected = true;
+  } else {
+    helper.printGood('Your cluster does not miss any collections used as leaders in distributeShardsLike');
+  }
+
+  if (leaderOnDeadServer.length > 0) {
+    helper.printBad('Your cluster has leaders placed on failed DBServers');
+    const table = new AsciiTable('Leader on failed DBServer');
+    table.setHeading('Database', 'CID', 'Shard', 'Failed DBServer', 'All Servers');
+    for (const d of leaderOnDeadServer) {
+      table.addRow(d.db, d.name, d.shard, d.server, JSON.stringify(d.servers));
+    }
+    helper.printTable(table);
+    infected = true;
+  } else {
+    helper.printGood('Your cluster does not have any leaders placed on failed DBServers');
+  }
+
+  if (followerOnDeadServer.length > 0) {
+    helper.printBad('Your cluster has followers placed on failed DBServers');
+    const table = new AsciiTable('Follower on failed DBServer');
+    table.setHeading('Database', 'CID', 'Shard', 'Failed DBServer', 'All Servers');
+    for (const d of followerOnDeadServer) {
+      table.addRow(d.db, d.name, d.shard, d.server, JSON.stringify(d.servers));
+    }
+    helper.printTable(table);
+    infected = true;
+  } else {
+    helper.printGood('Your cluster does not have any followers placed on failed DBServers');
+  }
+  return infected;
+};
+
+exports.save = function (info) {
+  const {
+    noPlanDatabases,
+    noShardCollections,
+    realLeaderMissing,
+    leaderOnDeadServer,
+    followerOnDeadServer
+  } = info;
+  helper.writeOutputFile("collectionIntegrity.json", JSON.stringify({
+    noPlanDatabases,
+    noShardCollections,
+    realLeaderMissing,
+    leaderOnDeadServer,
+    followerOnDeadServer
+  }), { issue: "collection-integrity" });
+};
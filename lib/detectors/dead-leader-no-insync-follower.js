@@ -0,0 +1,188 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const fs = require('fs');
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "deadLeaderNoInsyncFollower";
+exports.severity = "critical";
+exports.description = "shards with a failed leader and no in-sync follower";
+exports.requires = "3.3.23 - 3.7.99";
+
+const recursiveMapPrinter = (map) => {
+  if (map instanceof Map) {
+    const res = {};
+    for (const [k, v] of map) {
+      res[k] = recursiveMapPrinter(v);
+    }
+    return res;
+  } else if (map instanceof Array) {
+    return map.map(v => recursiveMapPrinter(v));
+  } else if (map instanceof Object) {
+    const res = {};
+    for (const [k, v] of Object.entries(map)) {
+      res[k] = recursiveMapPrinter(v);
+    }
+    return res;
+  } else if (map instanceof Set) {
+    const res = [];
+    for (const v of map.values()) {
+      res.push(recursiveMapPrinter(v));
+    }
+    return res;
+  }
+  return map;
+};
+
+exports.extract = function (info, dump) {
+  const planCollections = dump.arango.Plan.Collections;
+  const currentCollections = dump.arango.Current.Collections;
+  /*
+  * realLeaderCid => {
+  *   plan => cid => [{shard (sorted), servers: [Leader, F1, F2, F3]}],
+  *   current => cid => [{shard (sorted), servers: [Leader, F1, F2, F3]}],
+  *   db = dbName
+  * }
+  */
+  const shardGroups = new Map();
+  // real leader cid
+  const violatedDistShardLike = new Set();
+  // {cid, shard, search}
+  const noInsyncFollower = new Set();
+  // {cid, shard, search}
+  const unplannedLeader = new Set();
+  // {cid, shard, search}
+  const noInsyncAndDeadLeader = new Set();
+  for (const [db, collections] of Object.entries(planCollections)) {
+    for (const [cid, col] of Object.entries(collections)) {
+      const {shards, distributeShardsLike} = col;
+      if (!shards || Object.keys(shards).length === 0 || shards.constructor !== Object) {
+        // We do not have shards
+        continue;
+      }
+      // If we have DistLike we search for it, otherwise we are leader
+      const search = distributeShardsLike || cid;
+      const isNewEntry = !shardGroups.has(search);
+      if (isNewEntry) {
+        shardGroups.set(search, {
+          plan: new Map(),
+          current: new Map(),
+          db
+        });
+      }
+      // Every group is a object of
+      // plan => cid => [{shard (sorted), servers: [Leader, F1, F2, F3]}]
+      // current => cid => [{shard (sorted), servers: [Leader, F1, F2, F3]}]
+      const group = shardGroups.get(search);
+      const myPlan = [];
+      const myCurrent = [];
+      for (const [shard, servers] of Object.entries(shards)) {
+        try {
+          const curServers = currentCollections[db][cid][shard].servers;
+          myPlan.push({shard, servers});
+          myCurrent.push({shard, servers: curServers});
+          if (curServers[0] !== servers[0]) {
+            unplannedLeader.add({cid, shard, search});
+          }
+          if (servers.length > 1 && curServers.length <= 1) {
+            noInsyncFollower.add({cid, shard, search});
+            if (!_.has(info.primaries, curServers[0])) {
+              noInsyncAndDeadLeader.add({cid, shard, search});
+            }
+          }
+        } catch (e) {}
+      }
+
+      myPlan.sort((l, r) => l.shard > r.shard);
+      myCurrent.sort((l, r) => l.shard > r.shard);
+
+      if (!isNewEntry) {
+        // Pick any of the existing, they need to be all equal, or at least one needs to be reported
+        const comp = group.plan.values().next().value;
+        for (let i = 0; i < comp.length; ++i) {
+          if (comp[i] !== myPlan[i]) {
+            // We have at least one mismatch of plans that violate distribution
+            violatedDistShardLike.add(search);
+            break;
+          }
+        }
+      }
+      group.plan.set(cid, myPlan);
+      group.current.set(cid, myCurrent);
+    }
+  }
+
+  info.shardGroups = shardGroups;
+  info.violatedDistShardLike = violatedDistShardLike;
+  info.noInsyncFollower = noInsyncFollower;
+  info.unplannedLeader = unplannedLeader;
+  info.noInsyncAndDeadLeader = noInsyncAndDeadLeader;
+};
+
+exports.print = function (info) {
+  const {noInsyncAndDeadLeader} = info;
+  let infected = false;
+  if (noInsyncAndDeadLeader && noInsyncAndDeadLeader.size > 0) {
+    helper.printBad('Your cluster has collections with dead leader and no insync follower');
+
+    const table = new AsciiTable('Collections with deadLeader and no-insync Follower');
+    table.setHeading('CID', 'Shard', 'DistributeLike');
+    for (const {cid, shard, search} of noInsyncAndDeadLeader) {
+      table.addRow(cid, shard, search);
+    }
+    helper.printTable(table);
+    infected = true;
+  } else {
+    helper.printGood('Your cluster does not have any collections with dead leader and no insync follower');
+  }
+  return infected;
+};
+
+exports.save = function (info) {
+  const {noInsyncAndDeadLeader, shardGroups, primaries} = info;
+  const file = fs.makeAbsolute(fs.join(helper.getOutputDir(), 'forceFailover.json'));
+  const clonedGroups = new Map();
+  for (const {cid, shard, search} of noInsyncAndDeadLeader) {
+    // candidates: server => [insyncShard]
+    const candidates = new Map();
+
+    const group = shardGroups.get(search);
+    const myPlan = group.plan.get(cid);
+    const shardIndex = myPlan.findIndex(s => s.shard === shard);
+    const allShards = [];
+    for (const s of myPlan[shardIndex].servers) {
+      if (_.has(primaries, s)) {
+        // This primary is alive, let us check
+        candidates.set(s, []);
+      }
+    }
+    // Iterate over all current distributions on shardIndex, and if we find an insync follower
+    // note it to the candidates
+    for (const [cid, curServers] of group.current) {
+      const {shard, servers} = curServers[shardIndex];
+      allShards.push(shard);
+      for (const [c, list] of candidates) {
+        if (servers.indexOf(c) !== -1) {
+          list.push(shard);
+        }
+      }
+    }
+
+    const sortedCandidates = [...candidates.entries()].sort((l, r) => l[1].length > r[1].length);
+    print("List of potential failover candidates, first has most in sync:");
+    for (const [c, list] of sortedCandidates) {
+      const missing = _.without(allShards, ...list);
+      print(`Failover to ${c} insync: ${JSON.stringify(list)}, please check state of ${JSON.stringify(missing)}`);
+      print("If you want to failover to this server run the `force-forceover` task against the leader AGENT, e.g.:");
+      print(` ./maintenance.sh <options> force-failover ${file} ${c} ${search} ${shardIndex}`);
+    }
+    clonedGroups.set(search, shardGroups.get(search));
+  }
+  helper.writeOutputFile("forceFailover.json", JSON.stringify(recursiveMapPrinter(clonedGroups)), {
+    issue: "dead-leader-no-insync-follower",
+    task: "force-failover",
+    role: "LEADER-AGENT",
+    extraArgs: "TARGET-SERVER LEADER-CID SHARD-INDEX"
+  });
+};
@@ -0,0 +1,60 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "deadPrimaries";
+exports.severity = "warning";
+exports.description = "unknown DBServers in Current/Databases";
+exports.requires = "3.3.23 - 3.7.99";
+
+exports.extract = function (info, dump) {
+  const databases = [];
+
+  _.each(dump.arango.Current.Databases, function (database, name) {
+    _.each(database, function (primary, pname) {
+      if (!_.has(info.primaries, pname)) {
+        databases.push({
+          database: name,
+          primary: pname,
+          data: primary
+        });
+      }
+    });
+  });
+
+  info.databasesDeadPrimaries = databases;
+};
+
+exports.print = function (info) {
+  if (info.databasesDeadPrimaries.length > 0) {
+    helper.printBad('Your cluster has dead primaries in Current');
+    const table = new AsciiTable('Dead primaries in Current');
+    table.setHeading('Database', 'Primary');
+
+    _.each(info.databasesDeadPrimaries, function (zombie) {
+      table.addRow(zombie.database, zombie.primary);
+    });
+
+    helper.printTable(table);
+    return true;
+  } else {
+    helper.printGood('Your cluster does not have any dead primaries in Current');
+    return false;
+  }
+};
+
+exports.save = function (info) {
+  const output = [];
+
+  _.each(info.databasesDeadPrimaries, function (zombie) {
+    output.push({database: zombie.database, primary: zombie.primary, data: zombie.data});
+  });
+
+  const file = helper.writeOutputFile("dead-primaries.json", JSON.stringify(output),
+    { issue: "dead-primaries", task: "remove-dead-primaries", role: "LEADER-AGENT" });
+  print("To remedy the dead primaries issue please run the task `remove-dead-primaries` against the leader AGENT, e.g.:");
+  print(` ./maintenance.sh <options> remove-dead-primaries ${file}`);
+  print();
+};
@@ -0,0 +1,99 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "failedCreations";
+exports.severity = "warning";
+exports.description = "databases, shards and indexes whose creation failed according to Current";
+exports.requires = "3.3.23 - 3.11.99";
+
+exports.extract = function (info, dump) {
+  const planDatabases = dump.arango.Plan.Databases;
+  const planCollections = dump.arango.Plan.Collections;
+  const failed = [];
+
+  _.each(dump.arango.Current.Databases, function (servers, database) {
+    _.each(servers, function (entry, server) {
+      if (entry && entry.error) {
+        failed.push({
+          database,
+          server,
+          coordinator: _.get(planDatabases, [database, 'coordinator']),
+          errorNum: entry.errorNum,
+          errorMessage: entry.errorMessage
+        });
+      }
+    });
+  });
+
+  _.each(dump.arango.Current.Collections, function (collections, database) {
+    _.each(collections, function (shards, cid) {
+      const collection = _.get(planCollections, [database, cid]);
+
+      // collections being built are handled by the buildingCollections check
+      if (collection === undefined || collection.isBuilding) {
+        return;
+      }
+
+      const building = _.map(_.filter(collection.indexes, 'isBuilding'), (index) => String(index.id));
+      const add = (shard, entry, index) => {
+        failed.push({
+          database,
+          cid,
+          name: collection.name,
+          shard,
+          index,
+          server: _.get(entry, ['servers', 0], _.get(shards, [shard, 'servers', 0])),
+          coordinator: collection.coordinator || _.get(planDatabases, [database, 'coordinator']),
+          errorNum: entry.errorNum,
+          errorMessage: entry.errorMessage
+        });
+      };
+
+      _.each(shards, function (shard, name) {
+        if (shard.error) {
+          add(name, shard);
+        }
+        _.each(shard.indexes, function (index) {
+          if (index.error && !_.includes(building, String(index.id))) {
+            add(name, index, index.id);
+          }
+        });
+      });
+    });
+  });
+
+  info.failedCreations = failed;
+};
+
+exports.print = function (info) {
+  if (info.failedCreations.length === 0) {
+    helper.printGood('Your cluster does not have failed creations in Current');
+    return false;
+  }
+
+  helper.printBad('Your cluster has databases, shards or indexes whose creation failed');
+
+  const table = new AsciiTable('Failed creations');
+  table.setHeading('Database', 'Collection', 'Shard', 'Index', 'Server', 'Coordinator', 'Error');
+
+  _.each(info.failedCreations, function (entry) {
+    table.addRow(entry.database, entry.name || "", entry.shard || "", entry.index || "", entry.server || "",
+      entry.coordinator || "", entry.errorNum + ": " + entry.errorMessage);
+  });
+
+  helper.printTable(table);
+  print();
+
+  return true;
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("failed-creations.json", JSON.stringify(info.failedCreations),
+    { issue: "failed-creations" });
+  print("The failed creations are listed in " + file + ", please check the errors and the logs of the servers.");
+  print("Collections and indexes which are still being built are repaired by `repair-building-collections`.");
+  print();
+};
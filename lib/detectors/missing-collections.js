@@ -0,0 +1,60 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "missingCollections";
+exports.severity = "warning";
+exports.description = "system collections missing in a database";
+exports.requires = "3.3.23 - 3.7.99";
+
+exports.extract = function (info) {
+  info.missingCollections = [];
+
+  _.each(_.sortBy(info.databases, x => x.name), function (database, name) {
+    const system = database.collections.filter(function (c) {
+      return c.name[0] === '_';
+    }).map(function (c) {
+      return c.name;
+    });
+
+    const missing = [];
+    ["_apps", "_appbundles", "_aqlfunctions", "_graphs", "_jobs", "_queues"].forEach(function (name) {
+      if (system.indexOf(name) === -1) {
+        missing.push(name);
+      }
+    });
+
+    if (missing.length > 0) {
+      info.missingCollections.push({database: database.name, missing});
+    }
+  });
+};
+
+exports.print = function (info) {
+  if (info.missingCollections.length > 0) {
+    helper.printBad('Your cluster is missing relevant system collections:');
+    const table = new AsciiTable('Missing collections');
+    table.setHeading('Database', 'Collections');
+
+    _.each(info.missingCollections, function (entry) {
+      table.addRow(entry.database, entry.missing.join(", "));
+    });
+
+    helper.printTable(table);
+    return true;
+  } else {
+    helper.printGood('Your cluster is not missing relevant system collections');
+    return false;
+  }
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("missing-collections.json", JSON.stringify(info.missingCollections),
+    { issue: "missing-system-collections", task: "create-missing-collections", role: "COORDINATOR" });
+  print("To remedy the missing collections issue please run the task " +
+        "`create-missing-collections` AGAINST A COORDINATOR, e.g.:");
+  print(` ./maintenance.sh <options> create-missing-collections ${file}`);
+  print();
+};
@@ -0,0 +1,54 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print, arango, db */
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "oneShardConsistency";
+exports.severity = "warning";
+exports.description = "OneShard databases not known as such by all DBServers (live only)";
+exports.requires = "3.6.0 - 3.7.99";
+
+exports.extract = function (info, dump) {
+  info.oneShardIncensistencyDetected = new Set();
+  if (info.__usesLiveServer) {
+    const health = dump.arango.Supervision.Health;
+    const databasesToTest = [];
+    for (const [dbname, {sharding}] of Object.entries(dump.arango.Plan.Databases)) {
+      if (sharding === "single") {
+        // This database is supposed to be a one shard database
+        databasesToTest.push(dbname);
+      }
+    }
+    if (databasesToTest.length > 0) {
+      for (const [server, {Status, Endpoint}] of Object.entries(health)) {
+        if (server.startsWith("PRMR-") && Status === "GOOD") {
+          print("INFO Testing Server '" + server);
+          arango.reconnect(Endpoint, "_system");
+          for (const vocbase of databasesToTest) {
+            db._useDatabase(vocbase);
+            const {sharding} = db._properties();
+            if (sharding !== "single") {
+              info.oneShardIncensistencyDetected.add(vocbase);
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+exports.print = function (info) {
+  if (info.oneShardIncensistencyDetected.size > 0) {
+    helper.printBad('Your cluster has inconsistencies in DOCUMENT Aql call.');
+    const table = new AsciiTable('Databases with DOCUMENT calls that may not find data');
+    table.setHeading('Database');
+    for (const db of info.oneShardIncensistencyDetected) {
+      table.addRow(db);
+    }
+    helper.printTable(table);
+    return true;
+  } else {
+    helper.printGood('Your cluster has consistent DOCUMENT calls');
+    return false;
+  }
+};
@@ -0,0 +1,68 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "orphanedLocks";
+exports.severity = "warning";
+exports.description = "locks in Supervision/Shards and Supervision/DBServers held by jobs which are not running";
+exports.requires = "3.3.23 - 3.11.99";
+
+exports.extract = function (info, dump) {
+  const target = dump.arango.Target;
+
+  // where the job is now, undefined if it is gone
+  const jobState = (jobId) => {
+    return ['ToDo', 'Finished', 'Failed'].find((state) => _.has(target[state], jobId));
+  };
+
+  info.orphanedLocks = [];
+
+  [['Shards', helper.getBlockedShards(dump)], ['DBServers', helper.getBlockedServers(dump)]].forEach(([kind, blocked]) => {
+    _.each(blocked, function (jobId, name) {
+      // only running jobs hold locks
+      if (_.has(target.Pending, jobId)) {
+        return;
+      }
+
+      info.orphanedLocks.push({
+        kind,
+        name,
+        jobId,
+        jobState: jobState(jobId),
+        key: "arango/Supervision/" + kind + "/" + name,
+        value: dump.arango.Supervision[kind][name]
+      });
+    });
+  });
+};
+
+exports.print = function (info) {
+  if (info.orphanedLocks.length === 0) {
+    helper.printGood('Your cluster does not have orphaned supervision locks');
+    return false;
+  }
+
+  helper.printBad('Your cluster has orphaned supervision locks, which block all further jobs on them');
+
+  const table = new AsciiTable('Orphaned locks');
+  table.setHeading('Lock', 'Shard or Server', 'Job', 'Job State');
+
+  _.each(info.orphanedLocks, function (lock) {
+    table.addRow(lock.kind, lock.name, lock.jobId, lock.jobState || "unknown");
+  });
+
+  helper.printTable(table);
+  print();
+
+  return true;
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("orphaned-locks.json", JSON.stringify(info.orphanedLocks),
+    { issue: "orphaned-locks", task: "release-stale-locks", role: "LEADER-AGENT" });
+  print("To release the orphaned locks please run the task `release-stale-locks` AGAINST AN AGENT, e.g.:");
+  print(` ./maintenance.sh <options> release-stale-locks ${file}`);
+  print();
+};
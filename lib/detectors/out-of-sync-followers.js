@@ -0,0 +1,84 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "outOfSyncFollowers";
+exports.severity = "warning";
+exports.description = "shards whose followers in Current differ from Plan";
+exports.requires = "3.3.23 - 3.7.99";
+
+exports.extract = function (info, dump) {
+  const planCollections = dump.arango.Plan.Collections;
+  const currentCollections = dump.arango.Current.Collections;
+  const compareFollowers = (plan, current) => {
+    // If leaders are not equal we are out of sync.
+    if (plan[0] !== current[0]) {
+      return false;
+    }
+    if (plan.length === 1) {
+      // we have not even requested a follower
+      return true;
+    }
+    for (let i = 1; i < plan.length; ++i) {
+      const other = current.indexOf(plan[i]);
+      if (other < 1) {
+        return false;
+      }
+    }
+    return true;
+  };
+  info.outOfSyncFollowers = [];
+  for (const [db, collections] of Object.entries(planCollections)) {
+    if (!_.has(currentCollections, db)) {
+      // database skeleton or  so, don't care
+      continue;
+    }
+    for (const [name, col] of Object.entries(collections)) {
+      const {shards} = col;
+      if (!shards || Object.keys(shards).length === 0) {
+        continue;
+      }
+      for (const [shard, servers] of Object.entries(shards)) {
+        try {
+          const current = currentCollections[db][name][shard].servers;
+          if (!compareFollowers(servers, current)) {
+            info.outOfSyncFollowers.push({
+              db, name, shard, servers, current
+            });
+          }
+        } catch (e) {}
+      }
+    }
+  }
+};
+
+exports.print = function (info) {
+  const {outOfSyncFollowers} = info;
+  const counters = new Map();
+  if (outOfSyncFollowers.length > 0) {
+    helper.printBad('Your cluster has collections where followers are out of sync');
+    {
+      const table = new AsciiTable('Out of sync followers');
+      table.setHeading('Database', 'CID', 'Shard', 'Planned', 'Real');
+      for (const oosFollower of outOfSyncFollowers) {
+        table.addRow(oosFollower.db, oosFollower.name, oosFollower.shard, oosFollower.servers, oosFollower.current);
+        counters.set(oosFollower.servers[0], (counters.get(oosFollower.servers[0]) || 0) + 1);
+      }
+      helper.printTable(table);
+    }
+    {
+      const table = new AsciiTable('Number of non-replicated shards per server');
+      table.setHeading('Server', 'Number');
+      for (const [server, number] of counters.entries()) {
+        table.addRow(server, number);
+      }
+      helper.printTable(table);
+    }
+    return true;
+  } else {
+    helper.printGood('Your cluster does not have collections where followers are out of sync');
+    return false;
+  }
+};
@@ -0,0 +1,90 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "replicationFactor";
+exports.severity = "warning";
+exports.description = "collections whose replicationFactor or writeConcern exceeds the healthy DBServers";
+exports.requires = "3.3.23 - 3.11.99";
+
+exports.extract = function (info, dump) {
+  const planCollections = dump.arango.Plan.Collections;
+  const healthy = Object.keys(info.primaries).length;
+  info.replicationFactor = [];
+
+  _.each(info.collections, function (collection) {
+    const database = collection.fullName.substr(0, collection.fullName.length - collection.name.length - 1);
+    const plan = planCollections[database][collection.id];
+    const replicationFactor = plan.replicationFactor;
+
+    // satellite collections are replicated to all DBServers
+    if (typeof replicationFactor !== 'number' || replicationFactor === 0) {
+      return;
+    }
+
+    // writeConcern replaced minReplicationFactor in 3.6
+    const writeConcern = _.has(plan, 'writeConcern') ? plan.writeConcern
+      : (_.has(plan, 'minReplicationFactor') ? plan.minReplicationFactor : 1);
+
+    if (replicationFactor <= healthy && writeConcern <= healthy) {
+      return;
+    }
+
+    const newReplicationFactor = Math.max(1, Math.min(replicationFactor, healthy));
+
+    info.replicationFactor.push({
+      database,
+      cid: collection.id,
+      name: collection.name,
+      distributeShardsLike: plan.distributeShardsLike,
+      healthyServers: healthy,
+      replicationFactor,
+      writeConcern,
+      attributes: ['writeConcern', 'minReplicationFactor'].filter((a) => _.has(plan, a)),
+      writesBlocked: writeConcern > healthy,
+      newReplicationFactor,
+      newWriteConcern: Math.min(writeConcern, newReplicationFactor),
+      shards: _.mapValues(plan.shards || {}, (servers) => ({
+        servers,
+        unhealthy: servers.filter((server) => !_.has(info.primaries, server))
+      }))
+    });
+  });
+};
+
+exports.print = function (info) {
+  if (info.replicationFactor.length === 0) {
+    helper.printGood('Your cluster has enough healthy DBServers for all replication factors');
+    return false;
+  }
+
+  helper.printBad('Your cluster has collections with a replicationFactor or writeConcern above the ' +
+                  info.replicationFactor[0].healthyServers + ' healthy DBServer(s)');
+
+  const table = new AsciiTable('Under-replicated collections');
+  table.setHeading('Database', 'Collection', 'RF', 'WC', 'Shards', 'Unhealthy copies', 'Writes');
+
+  _.each(info.replicationFactor, function (entry) {
+    const unhealthy = _.sumBy(_.values(entry.shards), (shard) => shard.unhealthy.length);
+    table.addRow(entry.database, entry.name, entry.replicationFactor, entry.writeConcern,
+      Object.keys(entry.shards).length, unhealthy, entry.writesBlocked ? "blocked" : "ok");
+  });
+
+  helper.printTable(table);
+  print();
+
+  return true;
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("replication-factor.json", JSON.stringify(info.replicationFactor),
+    { issue: "replication-factor", task: "repair-replication-factor", role: "LEADER-AGENT" });
+  print("To lower the replicationFactor and writeConcern to the healthy DBServers please run the task " +
+        "`repair-replication-factor` AGAINST AN AGENT, e.g.:");
+  print(` ./maintenance.sh <options> repair-replication-factor ${file}`);
+  print("Once the DBServers are replaced, the same file restores the original values:");
+  print(` ./maintenance.sh <options> repair-replication-factor ${file} --action=restore`);
+  print();
+};
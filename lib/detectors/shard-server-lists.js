@@ -0,0 +1,122 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "shardServerLists";
+exports.severity = "warning";
+exports.description = "duplicate or unknown servers in the server lists of shards";
+exports.requires = "3.3.23 - 3.11.99";
+
+// a leader which resigned is listed in Current with a leading underscore
+const serverId = (server) => server.replace(/^_/, '');
+
+// returns the list without duplicates and unknown servers, the leader stays first
+const checkServerList = (servers, isKnown) => {
+  const seen = {};
+  const duplicates = [];
+  const unknown = [];
+  const correct = [];
+
+  servers.forEach(function (server, i) {
+    const id = serverId(server);
+
+    if (_.has(seen, id)) {
+      duplicates.push(server);
+    } else if (!isKnown(id)) {
+      unknown.push(server);
+      if (i === 0) {
+        // dropping the leader would be a failover, keep it
+        correct.push(server);
+      }
+    } else {
+      correct.push(server);
+    }
+    seen[id] = true;
+  });
+
+  return { duplicates, unknown, correct, leaderUnknown: servers.length > 0 && !isKnown(serverId(servers[0])) };
+};
+
+exports.extract = function (info, dump) {
+  const planCollections = dump.arango.Plan.Collections;
+  const currentCollections = dump.arango.Current.Collections;
+  const known = _.extend({}, dump.arango.Plan.DBServers, dump.arango.Supervision.Health);
+  const isKnown = (server) => _.has(known, server);
+
+  info.shardServerLists = [];
+
+  const check = (database, cid, shard, location, servers) => {
+    if (!Array.isArray(servers)) {
+      return;
+    }
+
+    const result = checkServerList(servers, isKnown);
+
+    if (result.duplicates.length > 0 || result.unknown.length > 0) {
+      info.shardServerLists.push({
+        database,
+        cid,
+        name: planCollections[database][cid].name,
+        shard,
+        location,
+        old: servers,
+        correct: result.correct,
+        duplicates: result.duplicates,
+        unknown: result.unknown,
+        leaderUnknown: result.leaderUnknown
+      });
+    }
+  };
+
+  _.each(planCollections, function (collections, database) {
+    _.each(collections, function (collection, cid) {
+      _.each(collection.shards, function (servers, shard) {
+        check(database, cid, shard, "Plan", servers);
+
+        const current = _.get(currentCollections, [database, cid, shard]);
+
+        if (current !== undefined) {
+          check(database, cid, shard, "Current", current.servers);
+          check(database, cid, shard, "failoverCandidates", current.failoverCandidates);
+        }
+      });
+    });
+  });
+};
+
+exports.print = function (info) {
+  if (info.shardServerLists.length === 0) {
+    helper.printGood('Your cluster does not have duplicate or unknown servers in the server lists of shards');
+    return false;
+  }
+
+  helper.printBad('Your cluster has duplicate or unknown servers in the server lists of shards');
+
+  const table = new AsciiTable('Invalid shard server lists');
+  table.setHeading('Database', 'Collection', 'Shard', 'List', 'Servers', 'Duplicates', 'Unknown');
+
+  _.each(info.shardServerLists, function (entry) {
+    table.addRow(entry.database, entry.name, entry.shard, entry.location, JSON.stringify(entry.old),
+      entry.duplicates.join(", "), entry.unknown.join(", ") + (entry.leaderUnknown ? " (leader)" : ""));
+  });
+
+  helper.printTable(table);
+
+  if (_.some(info.shardServerLists, 'leaderUnknown')) {
+    print("WARNING: shards with an unknown leader keep it, move the leadership manually, e.g. with force-failover");
+  }
+
+  print();
+  return true;
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("shard-server-lists.json", JSON.stringify(info.shardServerLists),
+    { issue: "shard-server-lists", task: "repair-shard-server-lists", role: "LEADER-AGENT" });
+  print("To remove the duplicate and unknown servers please run the task " +
+        "`repair-shard-server-lists` AGAINST AN AGENT, e.g.:");
+  print(` ./maintenance.sh <options> repair-shard-server-lists ${file}`);
+  print();
+};
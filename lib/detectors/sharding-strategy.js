@@ -0,0 +1,61 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const helper = require('../helper.js');
+
+exports.id = "shardingStrategy";
+exports.severity = "warning";
+exports.description = "collections without a sharding strategy";
+exports.requires = "3.3.23 - 3.7.99";
+
+exports.extract = function (info, dump) {
+  const planCollections = dump.arango.Plan.Collections;
+  const planDBs = dump.arango.Plan.Databases;
+  info.shardingStrategy = [];
+  for (const [db, collections] of Object.entries(planCollections)) {
+    if (!_.has(planDBs, db)) {
+      // This database has Collections but is deleted, see collectionIntegrity
+      continue;
+    }
+    for (const [cid, col] of Object.entries(collections)) {
+      const {name, type, shardingStrategy, isSmart} = col;
+      if (shardingStrategy) {
+        continue;
+      }
+      let newStrategy;
+      if (type === 2 || !isSmart) {
+        newStrategy = "enterprise-compat";
+      } else if (type === 3 && isSmart) {
+        newStrategy = "enterprise-smart-edge-compat";
+      }
+      if (!newStrategy) {
+        continue;
+      }
+      info.shardingStrategy.push({
+        database: db,
+        cid: cid,
+        name: name,
+        newStrategy: newStrategy
+      });
+    }
+  }
+};
+
+exports.print = function (info) {
+  if (info.shardingStrategy.length > 0) {
+    helper.printBad('Your cluster has sharding strategies that need fixing');
+    return true;
+  } else {
+    helper.printGood('Your cluster does correct sharding strategies');
+    return false;
+  }
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("sharding-strategy.json", JSON.stringify(info.shardingStrategy),
+    { issue: "sharding-strategy", task: "repair-sharding-strategy", role: "LEADER-AGENT" });
+  print("To remedy the sharding-strategy issue please run the task " +
+        "`repair-sharding-strategy` AGAINST AN AGENT, e.g.:");
+  print(` ./maintenance.sh <options> repair-sharding-strategy ${file}`);
+  print();
+};
@@ -0,0 +1,51 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "skeletonDatabases";
+exports.severity = "warning";
+exports.description = "databases without any collections";
+exports.requires = "3.3.23 - 3.7.99";
+
+exports.extract = function (info) {
+  info.emptyDatabases = [];
+  _.each(_.sortBy(info.databases, x => x.name), function (database, name) {
+    if (database.collections.length === 0 && database.shards.length === 0) {
+      info.emptyDatabases.push(database);
+    }
+  });
+};
+
+exports.print = function (info) {
+  if (info.emptyDatabases.length > 0) {
+    helper.printBad('Your cluster has some skeleton databases (databases without collections)');
+    const table = new AsciiTable('Skeletons');
+    table.setHeading('Database name');
+
+    _.each(info.emptyDatabases, function (database) {
+      table.addRow(database.name);
+    });
+
+    helper.printTable(table);
+    return true;
+  } else {
+    helper.printGood('Your cluster does not have any skeleton databases (databases without collections)');
+    return false;
+  }
+};
+
+exports.save = function (info) {
+  const output = [];
+
+  _.each(info.emptyDatabases, function (skeleton) {
+    output.push({database: skeleton.name, data: skeleton.data});
+  });
+
+  const file = helper.writeOutputFile("skeleton-databases.json", JSON.stringify(output),
+    { issue: "skeleton-databases", task: "remove-skeleton-databases", role: "LEADER-AGENT" });
+  print("To remedy the skeleton databases issue please run the task `remove-skeleton-databases` against the leader AGENT, e.g.:");
+  print(` ./maintenance.sh <options> remove-skeleton-databases ${file}`);
+  print();
+};
@@ -0,0 +1,119 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "stuckJobs";
+exports.severity = "warning";
+exports.description = "jobs in Target/ToDo or Target/Pending which are too old or wait for a failed or unknown server";
+exports.requires = "3.3.23 - 3.11.99";
+
+// servers a job works on, e.g. the `fromServer` and `toServer` of a moveShard
+const jobServers = (job) => {
+  return _.uniq(_.flatten(_.compact([job.server, job.fromServer, job.toServer, job.newFollower])));
+};
+
+// jobs which always name a failed or leaving server, only their target
+// server tells whether they can finish
+const sourceServerJobs = ["failedLeader", "failedFollower", "cleanOutServer"];
+
+// servers which have to be healthy for the job to finish
+const requiredServers = (job) => {
+  if (_.includes(sourceServerJobs, job.type)) {
+    return _.uniq(_.flatten(_.compact([job.toServer, job.newFollower])));
+  }
+  return jobServers(job);
+};
+
+// the time of the dump, i.e. the newest heartbeat in Supervision/Health
+const dumpTime = (dump) => {
+  const times = _.map(dump.arango.Supervision.Health, (server) => Date.parse(server.Timestamp))
+    .filter((time) => !Number.isNaN(time));
+
+  return times.length > 0 ? _.max(times) : Date.now();
+};
+
+exports.extract = function (info, dump) {
+  const target = dump.arango.Target;
+  const health = dump.arango.Supervision.Health;
+  const known = _.extend({}, dump.arango.Plan.DBServers, health);
+  const maxAge = (info.maxJobAge !== undefined ? info.maxJobAge : 60) * 60 * 1000;
+  const now = dumpTime(dump);
+
+  // the locks of the jobs, released when a job is aborted
+  const locks = [];
+  [['Shards', helper.getBlockedShards(dump)], ['DBServers', helper.getBlockedServers(dump)]].forEach(([kind, blocked]) => {
+    _.each(blocked, function (jobId, name) {
+      locks.push({ jobId, key: "arango/Supervision/" + kind + "/" + name, value: dump.arango.Supervision[kind][name] });
+    });
+  });
+
+  info.stuckJobs = [];
+
+  ['ToDo', 'Pending'].forEach(function (state) {
+    _.each(target[state], function (job, jobId) {
+      const since = Date.parse(state === 'Pending' ? (job.timeStarted || job.timeCreated) : job.timeCreated);
+      const age = Number.isNaN(since) ? undefined : now - since;
+      const reasons = [];
+
+      if (age !== undefined && age > maxAge) {
+        reasons.push((state === 'ToDo' ? "waiting" : "running") + " for " + Math.floor(age / 60000) + " minutes");
+      }
+
+      requiredServers(job).forEach(function (server) {
+        if (!_.has(known, server)) {
+          reasons.push("server " + server + " is unknown");
+        } else if (_.get(health, [server, 'Status']) === 'FAILED') {
+          reasons.push("server " + server + " is FAILED");
+        }
+      });
+
+      if (reasons.length > 0) {
+        info.stuckJobs.push({
+          jobId,
+          state,
+          type: job.type,
+          database: job.database,
+          shard: job.shard,
+          servers: jobServers(job),
+          age: age !== undefined ? Math.floor(age / 60000) : undefined,
+          reasons,
+          job,
+          locks: locks.filter((lock) => lock.jobId === jobId)
+        });
+      }
+    });
+  });
+};
+
+exports.print = function (info) {
+  if (info.stuckJobs.length === 0) {
+    helper.printGood('Your cluster does not have stuck supervision jobs');
+    return false;
+  }
+
+  helper.printBad('Your cluster has stuck supervision jobs');
+
+  const table = new AsciiTable('Stuck jobs');
+  table.setHeading('Job', 'State', 'Type', 'Database', 'Shard', 'Servers', 'Minutes', 'Reason');
+
+  _.each(info.stuckJobs, function (job) {
+    table.addRow(job.jobId, job.state, job.type, job.database || "", job.shard || "",
+      job.servers.join(", "), job.age !== undefined ? job.age : "?", job.reasons.join(", "));
+  });
+
+  helper.printTable(table);
+  print();
+
+  return true;
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("stuck-jobs.json", JSON.stringify(info.stuckJobs),
+    { issue: "stuck-jobs", task: "abort-jobs", role: "LEADER-AGENT" });
+  print("To abort the stuck jobs please run the task `abort-jobs` AGAINST AN AGENT, e.g.:");
+  print(` ./maintenance.sh <options> abort-jobs ${file}`);
+  print("Use --job-ids to only abort some of them.");
+  print();
+};
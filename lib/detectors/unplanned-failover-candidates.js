@@ -0,0 +1,76 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "unplannedFailoverCandidates";
+exports.severity = "warning";
+exports.description = "failover candidates in Current which are not planned";
+exports.requires = "3.3.23 - 3.11.99";
+
+exports.extract = function (info, dump) {
+  const planCollections = dump.arango.Plan.Collections;
+  const currentCollections = dump.arango.Current.Collections;
+  const fixes = [];
+  for (const [dbname, database] of Object.entries(currentCollections)) {
+    for (const [cid, collection] of Object.entries(database)) {
+      if (!_.has(planCollections, [dbname, cid, 'shards'])) {
+        // dropped collection, still being removed from Current
+        continue;
+      }
+      Object.keys(collection).forEach(function (shname) {
+        const shard = collection[shname];
+        const candidates = helper.getFailoverCandidates(shard);
+        const planned = planCollections[dbname][cid].shards[shname] || [];
+        const cname = planCollections[dbname][cid].name;
+        const plannedCandidates = candidates.filter(function (c) {
+          return _.indexOf(planned, c) >= 0;
+        });
+
+        if (candidates.length !== plannedCandidates.length) {
+          fixes.push({
+            dbname,
+            cid,
+            cname,
+            shname,
+            old: candidates,
+            correct: plannedCandidates,
+            plan: planned
+          });
+        }
+      });
+    }
+  }
+  info.unplannedFailoverCandidates = fixes;
+};
+
+exports.print = function (info) {
+  if (info.unplannedFailoverCandidates.length === 0) {
+    helper.printGood('Your cluster does not have any unplanned failover candidates');
+    return false;
+  }
+
+  helper.printBad('Your cluster has some unplanned failover candidates');
+
+  const table = new AsciiTable('Unplanned Failover Candidates');
+  table.setHeading('Database', 'Collections', 'Shard');
+
+  _.each(info.unplannedFailoverCandidates, function (fix) {
+    table.addRow(fix.dbname, fix.cname, fix.shname);
+  });
+
+  helper.printTable(table);
+  print();
+
+  return true;
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("unplanned-failover.json", JSON.stringify(info.unplannedFailoverCandidates),
+    { issue: "unplanned-failover-candidates", task: "repair-unplanned-failover", role: "LEADER-AGENT" });
+  print("To remedy the unplanned failover candidates please run the task " +
+        "`repair-unplanned-failover` AGAINST AN AGENT, e.g.:");
+  print(` ./maintenance.sh <options> repair-unplanned-failover ${file}`);
+  print();
+};
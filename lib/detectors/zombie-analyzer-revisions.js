@@ -0,0 +1,43 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const helper = require('../helper.js');
+
+exports.id = "zombieAnalyzerRevisions";
+exports.severity = "warning";
+exports.description = "analyzer revisions of databases which no longer exist";
+exports.requires = "3.7.0 - 3.7.99";
+
+exports.extract = function (info, dump) {
+  const plannedRevisions = dump.arango.Plan.Analyzers;
+  const plannedDatabases = dump.arango.Plan.Databases;
+  const zombies = [];
+
+  if (plannedRevisions !== undefined) {
+    _.each(Object.keys(plannedRevisions), function (id) {
+      if (!_.has(plannedDatabases, id)) {
+        zombies.push(id);
+      }
+    });
+  }
+
+  info.zombieAnalyzerRevisions = zombies;
+};
+
+exports.print = function (info) {
+  if (info.zombieAnalyzerRevisions.length === 0) {
+    helper.printGood('Your cluster does not have any zombie analyzer revisions');
+    return false;
+  } else {
+    helper.printBad('Your cluster has zombie analyzer revisions');
+    return true;
+  }
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("zombie-analyzer-revisions.json", JSON.stringify(info.zombieAnalyzerRevisions),
+    { issue: "zombie-analyzer-revisions", task: "remove-zombie-analyzer-revisions", role: "LEADER-AGENT" });
+  print("To remedy the zombie analyzer revisions issue please run the task `remove-zombie-analyzer-revisions` against the leader AGENT, e.g.:");
+  print(` ./maintenance.sh <options> remove-zombie-analyzer-revisions ${file}`);
+  print();
+};
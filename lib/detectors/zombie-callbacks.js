@@ -0,0 +1,62 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const helper = require('../helper.js');
+
+exports.id = "zombieCallbacks";
+exports.severity = "warning";
+exports.description = "agency callbacks of failed servers (live only)";
+exports.requires = "3.3.23 - 3.7.99";
+
+const extractFailed = (dump) => {
+  const failedInstanceEndpoints = [];
+  const health = dump.arango.Supervision.Health;
+  _.each(health, function (server, key) {
+    if (server.Status === 'FAILED') {
+      let endpoint = "";
+      if (server.Endpoint.startsWith("ssl")) {
+        endpoint = server.Endpoint.replace("ssl:", "https:");
+      } else {
+        endpoint = server.Endpoint.replace("tcp:", "http:");
+      }
+      failedInstanceEndpoints.push(endpoint);
+    }
+  });
+  return failedInstanceEndpoints;
+};
+
+// `info.callbacks` is only known when reading from the leader agent
+exports.extract = function (info, dump) {
+  const failedInstances = extractFailed(dump);
+  const zombieCallbacks = [];
+  if (failedInstances.length > 0 && info.callbacks !== undefined) {
+    Array.prototype.forEach.call(info.callbacks, callback => {
+      const url = Object.keys(callback)[0];
+      const fs = url.indexOf("/");
+      const end = url.indexOf("/", fs + 2);
+      if (failedInstances.includes(url.slice(0, end))) {
+        zombieCallbacks.push(callback);
+      }
+    });
+  }
+  info.failedInstances = failedInstances;
+  info.zombieCallbacks = zombieCallbacks;
+};
+
+exports.print = function (info) {
+  if (info.zombieCallbacks.length > 0) {
+    helper.printBad('Your cluster has callbacks of failed servers');
+    return true;
+  } else if (info.callbacks !== undefined) {
+    helper.printGood('Your cluster does not have any callbacks of failed servers');
+  }
+  return false;
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("zombie-callbacks.json", JSON.stringify(info.zombieCallbacks),
+    { issue: "zombie-callbacks", task: "remove-zombie-callbacks", role: "LEADER-AGENT" });
+  print(" To remedy the zombies callback issue please run the task `remove-zombie-callbacks` against the leader AGENT, e.g.:");
+  print(` ./maintenance.sh <options> remove-zombie-callbacks ${file}`);
+  print();
+};
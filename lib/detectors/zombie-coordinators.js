@@ -0,0 +1,41 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const helper = require('../helper.js');
+
+exports.id = "zombieCoordinators";
+exports.severity = "warning";
+exports.description = "coordinators in Current which are no longer planned";
+exports.requires = "3.3.23 - 3.7.99";
+
+exports.extract = function (info, dump) {
+  const plannedCoords = dump.arango.Plan.Coordinators;
+  const currentCoords = dump.arango.Current.Coordinators;
+  const zombies = [];
+
+  _.each(Object.keys(currentCoords), function (id) {
+    if (!_.has(plannedCoords, id)) {
+      zombies.push(id);
+    }
+  });
+
+  info.zombieCoordinators = zombies;
+};
+
+exports.print = function (info) {
+  if (info.zombieCoordinators.length === 0) {
+    helper.printGood('Your cluster does not have any zombie coordinators');
+    return false;
+  } else {
+    helper.printBad('Your cluster has zombie coordinators');
+    return true;
+  }
+};
+
+exports.save = function (info) {
+  const file = helper.writeOutputFile("zombie-coordinators.json", JSON.stringify(info.zombieCoordinators),
+    { issue: "zombie-coordinators", task: "remove-zombie-coordinators", role: "LEADER-AGENT" });
+  print("To remedy the zombie coordinators issue please run the task `remove-zombie-coordinators` against the leader AGENT, e.g.:");
+  print(` ./maintenance.sh <options> remove-zombie-coordinators ${file}`);
+  print();
+};
@@ -0,0 +1,44 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+const _ = require('lodash');
+const AsciiTable = require('../3rdParty/ascii-table');
+const helper = require('../helper.js');
+
+exports.id = "zombies";
+exports.severity = "warning";
+exports.description = "collections in Plan without name and id";
+exports.requires = "3.3.23 - 3.11.99";
+
+// `info.zombies` is filled by `helper.extractDatabases`
+
+exports.print = function (info) {
+  if (info.zombies.length > 0) {
+    helper.printBad('Your cluster has some zombies');
+    const table = new AsciiTable('Zombies');
+    table.setHeading('Database', 'CID');
+
+    _.each(info.zombies, function (zombie) {
+      table.addRow(zombie.database, zombie.cid);
+    });
+
+    helper.printTable(table);
+    return true;
+  } else {
+    helper.printGood('Your cluster does not have any zombies');
+    return false;
+  }
+};
+
+exports.save = function (info) {
+  const output = [];
+
+  _.each(info.zombies, function (zombie) {
+    output.push({database: zombie.database, cid: zombie.cid, data: zombie.data});
+  });
+
+  const file = helper.writeOutputFile("zombies.json", JSON.stringify(output),
+    { issue: "zombies", task: "remove-zombies", role: "LEADER-AGENT" });
+  print("To remedy the zombies issue please run the task `remove-zombies` against the leader AGENT, e.g.:");
+  print(` ./maintenance.sh <options> remove-zombies ${file}`);
+  print();
+};
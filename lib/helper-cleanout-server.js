@@ -44,6 +44,30 @@ exports.run = function (extra, args, cleanout) {
     helper.fatal("cannot find a healthy coordinator");
   }
 
+  // collect the shards held by the server
+  const databases = [];
+  const collections = [];
+  let shards = 0;
+
+  _.each(conf.arango.Plan.Collections, function (cols, dbName) {
+    _.each(cols, function (col, cid) {
+      _.each(col.shards, function (servers) {
+        if (cleanout ? _.includes(servers, serverId) : servers[0] === serverId) {
+          ++shards;
+          databases.push(dbName);
+          collections.push(dbName + "/" + col.name);
+        }
+      });
+    });
+  });
+
+  helper.confirmChanges({
+    databases: _.uniq(databases),
+    collections: _.uniq(collections),
+    servers: [serverId],
+    description: (cleanout ? "shards to move away: " : "leaderships to resign: ") + shards
+  });
+
   arango.reconnect(cord.Endpoint, "_system");
 
   // cleanout server
@@ -61,8 +85,12 @@ exports.run = function (extra, args, cleanout) {
     task = "resign";
   }
 
+  if (res.dryRun) {
+    return helper.exitCodes.HEALTHY;
+  }
+
   if (res.code !== 202) {
-    helper.fatal(task + " failed: ", JSON.stringify(res));
+    helper.fatal(task + " failed: " + JSON.stringify(res));
   }
 
   const jobId = res.id;
@@ -145,4 +173,17 @@ exports.run = function (extra, args, cleanout) {
 
     internal.wait(sleep / 10);
   }
+
+  if (res.status === 'Failed') {
+    printBad(res.job.reason);
+    return helper.exitCodes.ERROR;
+  }
+
+  // without followers the supervision cannot hand the leadership over
+  if (!cleanout && leaderOnly > 0) {
+    print("WARNING: " + shortName + " still leads " + leaderOnly + " shard(s) without followers");
+    return helper.exitCodes.ISSUES;
+  }
+
+  return helper.exitCodes.HEALTHY;
 };
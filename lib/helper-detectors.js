@@ -0,0 +1,178 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+
+/*
+ * Registry of the checks run by the analyze task. Each module in `detectors/`
+ * defines one check:
+ *
+ *     exports.id          = "zombies";      // used by --checks and --skip-checks
+ *     exports.severity    = "warning";      // one of "critical", "warning", "info"
+ *     exports.description = "...";          // shown by `help analyze`
+ *     exports.requires    = "3.3.23 - 3.7.99";
+ *     exports.extract     = function (info, dump) { ... };   // optional
+ *     exports.print       = function (info) { ... };         // true if infected
+ *     exports.save        = function (info) { ... };         // optional
+ *
+ * `extract` adds the findings to `info`, which already contains the servers,
+ * databases and collections (see `helper.extractPrimaries` and
+ * `helper.extractDatabases`). `save` is only called if `print` reported an
+ * issue and writes the remediation files using `helper.writeOutputFile`.
+ *
+ * Site-specific checks are added by placing a module into `detectors/`.
+ */
+const fs = require('fs');
+const _ = require('lodash');
+const semver = require('semver');
+const AsciiTable = require('./3rdParty/ascii-table');
+const helper = require('./helper.js');
+
+const severities = ["critical", "warning", "info"];
+
+// the built-in checks run in this order, all others afterwards sorted by id
+const builtinOrder = [
+  "zombies",
+  "zombieCoordinators",
+  "zombieAnalyzerRevisions",
+  "cleanedFailoverCandidates",
+  "brokenCollections",
+  "collectionIntegrity",
+  "deadPrimaries",
+  "skeletonDatabases",
+  "missingCollections",
+  "outOfSyncFollowers",
+  "deadLeaderNoInsyncFollower",
+  "replicationFactor",
+  "brokenEdgeIndexes",
+  "shardingStrategy",
+  "unplannedFailoverCandidates",
+  "shardServerLists",
+  "oneShardConsistency",
+  "stuckJobs",
+  "orphanedLocks",
+  "buildingCollections",
+  "failedCreations",
+  "zombieCallbacks"
+];
+
+const validateDetector = (file, detector) => {
+  if (typeof detector.id !== "string" || !/^[a-zA-Z0-9]+$/.test(detector.id)) {
+    helper.fatal("Check definition from file '" + file + "' does not contain a valid id");
+  }
+  if (severities.indexOf(detector.severity) === -1) {
+    helper.fatal("Check definition from file '" + file + "' does not contain a valid severity, " +
+                 "expecting one of: " + severities.join(", "));
+  }
+  if (typeof detector.description !== "string") {
+    helper.fatal("Check definition from file '" + file + "' does not contain a valid description");
+  }
+  if (typeof detector.requires !== "string" || semver.validRange(detector.requires) === null) {
+    helper.fatal("Check definition from file '" + file + "' does not contain a valid requires value");
+  }
+  if (typeof detector.print !== "function") {
+    helper.fatal("Check definition from file '" + file + "' does not contain a valid print callback");
+  }
+  ['extract', 'save'].forEach(function (hook) {
+    if (detector[hook] !== undefined && typeof detector[hook] !== "function") {
+      helper.fatal("Check definition from file '" + file + "' does not contain a valid " + hook + " callback");
+    }
+  });
+};
+
+const position = (detector) => {
+  const pos = builtinOrder.indexOf(detector.id);
+  return pos === -1 ? builtinOrder.length : pos;
+};
+
+const loadDetectors = () => {
+  const dir = fs.join(__dirname, "detectors");
+  const detectors = fs.listTree(dir).filter(function (file) {
+    return file.match(/\.js$/);
+  }).map(function (file) {
+    const path = fs.join(dir, file);
+    let detector;
+
+    try {
+      detector = require(path);
+    } catch (err) {
+      helper.fatal("Unable to load check definition from file '" + path + "': " + String(err));
+    }
+
+    validateDetector(path, detector);
+    return detector;
+  });
+
+  const ids = detectors.map((d) => d.id);
+  const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+
+  if (duplicate !== undefined) {
+    helper.fatal("Check '" + duplicate + "' is defined more than once");
+  }
+
+  return _.sortBy(detectors, [position, 'id']);
+};
+
+const isSupported = (detector, version) => {
+  const [release, devel] = version.split('-');
+  return devel === "devel" || semver.satisfies(release, detector.requires);
+};
+
+// parses a comma separated list of check ids
+const parseCheckList = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  return value.split(',').map((id) => id.trim()).filter((id) => id !== '');
+};
+
+/*
+ * Returns the checks to run for the given version. `checks` (if given) lists
+ * the checks to run, `skipChecks` the ones to leave out.
+ */
+const selectDetectors = (detectors, version, checks, skipChecks) => {
+  const ids = detectors.map((d) => d.id);
+
+  (checks || []).concat(skipChecks || []).forEach(function (id) {
+    if (ids.indexOf(id) === -1) {
+      helper.fatal("Unknown check '" + id + "', available checks: " + ids.join(", "));
+    }
+  });
+
+  return detectors.filter(function (detector) {
+    if (checks !== undefined && checks.indexOf(detector.id) === -1) {
+      return false;
+    }
+
+    if (skipChecks !== undefined && skipChecks.indexOf(detector.id) !== -1) {
+      return false;
+    }
+
+    if (!isSupported(detector, version)) {
+      if (checks !== undefined) {
+        helper.fatal("Check '" + detector.id + "' does not support version " + version +
+                     ", requires: " + detector.requires);
+      }
+      return false;
+    }
+
+    return true;
+  });
+};
+
+const printDetectors = (detectors) => {
+  const table = new AsciiTable('Available checks');
+  table.setHeading('Check', 'Severity', 'Versions', 'Description');
+
+  detectors.forEach(function (detector) {
+    table.addRow(detector.id, detector.severity, detector.requires, detector.description);
+  });
+
+  helper.printTable(table);
+};
+
+exports.severities = severities;
+exports.loadDetectors = loadDetectors;
+exports.isSupported = isSupported;
+exports.parseCheckList = parseCheckList;
+exports.selectDetectors = selectDetectors;
+exports.printDetectors = printDetectors;
@@ -2,23 +2,203 @@
 /* global print, arango, db */
 const fs = require('fs');
 const _ = require('lodash');
+const semver = require('semver');
 const AsciiTable = require('./3rdParty/ascii-table');
 
+// output /////////////////////////////////////////////////////////////////////
+/*
+ * By default all results are printed for humans (text mode). With the global
+ * option `--output json` the output of a task is collected and emitted as one
+ * JSON document when the task is finished, `--output ndjson` emits one JSON
+ * object per line as soon as it is produced.
+ *
+ * In the machine-readable modes the global `print` is replaced, lines
+ * starting with WARNING, ERROR or FATAL are reported as warnings and errors,
+ * all other lines as messages. Tables must be printed using `printTable`,
+ * findings using `printGood` and `printBad`, further structured results can
+ * be added using `addResult`.
+ */
+const outputModes = ["text", "json", "ndjson"];
+
+const output = {
+  mode: "text",
+  print: undefined,
+  document: undefined,
+  quiet: false
+};
+
+const isTextOutput = () => {
+  return output.mode === "text";
+};
+
+const emitRecord = (type, value) => {
+  if (output.quiet) {
+    return;
+  }
+
+  if (output.mode === "ndjson") {
+    output.print(JSON.stringify(_.extend({ type }, value)));
+  } else {
+    output.document[type + "s"].push(value);
+  }
+};
+
+const captureMessage = (args) => {
+  const text = args.map((x) => {
+    return (typeof x === "string") ? x : JSON.stringify(x);
+  }).join(" ");
+
+  if (text.trim() === "") {
+    return;
+  }
+
+  if (/^WARNING/.test(text)) {
+    emitRecord("warning", { message: text });
+  } else if (/^(ERROR|FATAL)/.test(text)) {
+    emitRecord("error", { message: text });
+  } else {
+    emitRecord("message", { message: text });
+  }
+};
+
+const setOutputMode = (mode, taskName) => {
+  if (outputModes.indexOf(mode) === -1) {
+    fatal("Unknown output mode '" + mode + "', expecting one of: " + outputModes.join(", "));
+  }
+
+  if (mode === "text" || output.mode !== "text") {
+    return;
+  }
+
+  output.mode = mode;
+  output.print = print;
+  output.document = {
+    task: taskName,
+    status: "ok",
+    tables: [],
+    findings: [],
+    results: [],
+    warnings: [],
+    errors: [],
+    messages: []
+  };
+
+  global.print = function (...args) {
+    captureMessage(args);
+  };
+};
+
+const printTable = (table) => {
+  if (isTextOutput()) {
+    print(table.toString());
+  } else {
+    emitRecord("table", table.toJSON());
+  }
+};
+
+const addResult = (name, value) => {
+  if (!isTextOutput()) {
+    emitRecord("result", { name, value });
+  }
+};
+
+const flushOutput = (status = "ok") => {
+  if (output.mode === "json") {
+    output.document.status = status;
+    output.print(JSON.stringify(output.document));
+  } else if (output.mode === "ndjson") {
+    output.print(JSON.stringify({ type: "end", status }));
+  }
+};
+
+// runs `fn` with all output suppressed, e.g. to re-run a task for its result
+const runQuietly = (fn) => {
+  const savedPrint = global.print;
+  const savedQuiet = output.quiet;
+
+  output.quiet = true;
+  global.print = function () {};
+
+  try {
+    return fn();
+  } finally {
+    global.print = savedPrint;
+    output.quiet = savedQuiet;
+  }
+};
+// output - end ///////////////////////////////////////////////////////////////
+
+// exit codes /////////////////////////////////////////////////////////////////
+/*
+ * The exit code of the maintenance script is the status returned by the
+ * task: HEALTHY (or undefined) if everything is fine, ISSUES if a check found
+ * problems and PARTIAL_FAILURE if a remediation could not apply all of its
+ * changes. `fatal` aborts the task with ERROR, which is also used for
+ * connection and usage errors.
+ */
+const exitCodes = {
+  HEALTHY: 0,
+  ISSUES: 1,
+  ERROR: 2,
+  PARTIAL_FAILURE: 3
+};
+
+const exitStatusNames = {
+  0: "ok",
+  1: "issues",
+  2: "error",
+  3: "partial-failure"
+};
+
+const exitStatusName = (code) => {
+  return exitStatusNames[code] || "error";
+};
+
+class FatalError extends Error {
+  constructor (message, exitCode) {
+    super(message);
+    this.name = "FatalError";
+    this.exitCode = exitCode;
+  }
+}
+
+// the user did not confirm a change, thrown by `confirmChanges`
+class NotConfirmedError extends FatalError {
+  constructor (message) {
+    super(message, exitCodes.ERROR);
+    this.name = "NotConfirmedError";
+  }
+}
+// exit codes - end ///////////////////////////////////////////////////////////
+
 // messages ///////////////////////////////////////////////////////////////////
 const printGood = (msg) => {
+  if (!isTextOutput()) {
+    emitRecord("finding", { status: "good", message: msg });
+    return;
+  }
   print('Good: ' + msg);
   print();
 };
 
 const printBad = (msg) => {
+  if (!isTextOutput()) {
+    emitRecord("finding", { status: "bad", message: msg });
+    return;
+  }
   // blink blink blink
   print('Bad: ' + msg);
   print();
 };
 
-const fatal = (msg) => {
+const fatal = (msg, exitCode = exitCodes.ERROR) => {
+  // already reported
+  if (msg instanceof FatalError) {
+    throw msg;
+  }
+
   print("FATAL: " + msg);
-  process.exit(1);
+  throw new FatalError(String(msg), exitCode);
 };
 
 const padRight = function (value, maxLength) {
@@ -29,6 +209,311 @@ const padRight = function (value, maxLength) {
 };
 // messages - end /////////////////////////////////////////////////////////////
 
+// dry-run ////////////////////////////////////////////////////////////////////
+/*
+ * With the global option `--dry-run` all mutating requests sent through the
+ * `httpWrapper` are printed instead of being sent. Agency transactions are
+ * shown with their operations and preconditions. The request returns a fake
+ * response object with `dryRun: true`.
+ */
+let dryRun = false;
+
+const readOnlyRequests = [
+  '/_api/agency/read',
+  '/_api/agency/config',
+  '/_api/agency/stores'
+];
+
+const enableDryRun = () => {
+  dryRun = true;
+};
+
+const isDryRun = () => {
+  return dryRun;
+};
+
+const isMutatingRequest = (method, url) => {
+  if (method === 'GET' || method === 'GET_RAW' ||
+      method === 'HEAD' || method === 'HEAD_RAW') {
+    return false;
+  }
+  return readOnlyRequests.indexOf(url.split('?')[0]) === -1;
+};
+
+const printAgencyTransaction = (trx, pos) => {
+  const [operations, preconditions, clientId] = Array.isArray(trx) ? trx : [trx];
+
+  print("DRY-RUN: agency transaction #" + pos + (clientId ? " (client id " + clientId + ")" : ""));
+  print("  operations:");
+  _.each(operations, function (op, key) {
+    print("    " + key + " => " + JSON.stringify(op));
+  });
+  if (preconditions && Object.keys(preconditions).length > 0) {
+    print("  preconditions:");
+    _.each(preconditions, function (pre, key) {
+      print("    " + key + " => " + JSON.stringify(pre));
+    });
+  } else {
+    print("  preconditions: none");
+  }
+};
+
+const printDryRunRequest = (method, url, payload) => {
+  print("DRY-RUN: not sending " + method.replace(/_RAW$/, '') + " " + url);
+
+  if (url === '/_api/agency/write' && Array.isArray(payload)) {
+    payload.forEach((trx, pos) => printAgencyTransaction(trx, pos));
+  }
+
+  if (payload !== undefined) {
+    print("DRY-RUN: request body: " + JSON.stringify(payload));
+  }
+  print();
+
+  const response = { dryRun: true, error: false, code: 200 };
+
+  if (url === '/_api/agency/write') {
+    response.results = [];
+  }
+
+  if (method.endsWith('_RAW')) {
+    response.parsedBody = _.clone(response);
+  }
+
+  return response;
+};
+// dry-run - end //////////////////////////////////////////////////////////////
+
+// confirmation ///////////////////////////////////////////////////////////////
+/*
+ * Tasks declaring `exports.destructive = true` must call `confirmChanges` (or
+ * `confirmAgencyWrite`) before they modify anything. The user is shown a
+ * summary of the change and has to type the confirmation text, unless the
+ * global option `--yes` is given. Modifying requests of a destructive task
+ * without confirmation are refused by the `httpWrapper`. Once given, the
+ * confirmation holds until `setConfirmation` is called again.
+ */
+const confirmation = {
+  required: false,
+  given: false,
+  assumeYes: false
+};
+
+const setConfirmation = (required, assumeYes) => {
+  confirmation.required = required === true;
+  confirmation.given = false;
+  confirmation.assumeYes = assumeYes === true;
+};
+
+// reads a line from the terminal, `hint` tells what to do if there is none
+const readLine = (hint = "use `--yes` to confirm") => {
+  const candidates = [
+    () => require('console').getline,
+    () => require('internal').getline
+  ];
+
+  for (const candidate of candidates) {
+    try {
+      const getline = candidate();
+      if (typeof getline === 'function') {
+        return getline();
+      }
+    } catch (err) {
+    }
+  }
+
+  fatal("Cannot read from the terminal, " + hint);
+};
+
+// returns true if the user typed `expected`, which confirms all further changes
+const askConfirmation = (question, expected = "yes") => {
+  if (dryRun) {
+    print("INFO: dry-run, no confirmation needed");
+  } else if (confirmation.assumeYes) {
+    print("INFO: confirmed by `--yes`");
+  } else {
+    print(question);
+    const answer = readLine();
+
+    if (typeof answer !== 'string' || answer.trim() !== expected) {
+      return false;
+    }
+  }
+
+  confirmation.given = true;
+  return true;
+};
+
+const addToSummary = (summary, type, value) => {
+  if (value !== undefined && summary[type].indexOf(value) === -1) {
+    summary[type].push(value);
+  }
+};
+
+const summarizeAgencyTransactions = (trxs) => {
+  const summary = { keys: 0, databases: [], collections: [], servers: [] };
+
+  trxs.forEach((trx) => {
+    _.each(trx[0], function (op, key) {
+      const path = key.split('/').filter((x) => x !== '');
+
+      if (path[0] === 'arango') {
+        path.shift();
+      }
+
+      if (path[1] === 'Version') {
+        return;
+      }
+
+      summary.keys++;
+
+      if (path[1] === 'Databases' || path[1] === 'Collections') {
+        addToSummary(summary, 'databases', path[2]);
+      }
+
+      if (path[1] === 'Collections' && path[3] !== undefined) {
+        addToSummary(summary, 'collections', path[2] + '/' + path[3]);
+      }
+
+      if (path[0] === 'Current' && path[1] === 'Databases') {
+        addToSummary(summary, 'servers', path[3]);
+      }
+
+      if (path[1] === 'Coordinators' || path[1] === 'DBServers') {
+        addToSummary(summary, 'servers', path[2]);
+      }
+
+      if (op && op.op === 'erase' && /Servers$/.test(path[1])) {
+        addToSummary(summary, 'servers', op.val);
+      }
+    });
+  });
+
+  return summary;
+};
+
+const confirmChanges = (summary, expected = "yes") => {
+  const list = (values) => {
+    const shown = values.slice(0, 5).join(", ");
+    return values.length + (values.length > 0 ? " (" + shown + (values.length > 5 ? ", ..." : "") + ")" : "");
+  };
+
+  print("About to apply the following changes:");
+  if (summary.keys !== undefined) {
+    print("  agency keys: " + summary.keys);
+  }
+  _.each(['databases', 'collections', 'servers'], function (type) {
+    if (Array.isArray(summary[type])) {
+      print("  " + padRight(type + ":", 12) + " " + list(summary[type]));
+    }
+  });
+  if (summary.description) {
+    print("  " + summary.description);
+  }
+  print();
+
+  if (confirmation.given) {
+    print("INFO: already confirmed");
+  } else if (!askConfirmation("Type '" + expected + "' to continue:", expected)) {
+    print("FATAL: Not confirmed, aborting without any change");
+    throw new NotConfirmedError("Not confirmed, aborting without any change");
+  }
+};
+
+const confirmAgencyWrite = (trxs, expected) => {
+  if (trxs.length === 0) {
+    return;
+  }
+
+  confirmChanges(summarizeAgencyTransactions(trxs), expected);
+};
+
+const checkConfirmation = (method, url) => {
+  if (confirmation.required && !confirmation.given) {
+    fatal("Refusing to send " + method + " " + url + ", the change has not been confirmed");
+  }
+};
+// confirmation - end /////////////////////////////////////////////////////////
+
+// journal ////////////////////////////////////////////////////////////////////
+/*
+ * Every mutating request sent through the `httpWrapper` is appended to a
+ * local journal file, one JSON object per line. For agency writes the
+ * `Plan/Version` before and after the write is recorded as well. The file can
+ * be changed with the global option `--journal <file>`, the task
+ * `show-journal` lists the entries.
+ */
+const journal = {
+  file: "maintenance-journal.jsonl",
+  task: undefined,
+  args: {}
+};
+
+const setJournalFile = (file) => {
+  journal.file = file;
+};
+
+const getJournalFile = () => {
+  return journal.file;
+};
+
+const setTaskContext = (name, args) => {
+  journal.task = name;
+  journal.args = {};
+
+  _.each(args, function (arg) {
+    if (arg.raw !== undefined) {
+      journal.args[arg.name] = arg.raw;
+    }
+  });
+};
+
+const getEndpoint = () => {
+  try {
+    return arango.getEndpoint();
+  } catch (err) {
+    return undefined;
+  }
+};
+
+const readPlanVersion = (url) => {
+  if (url !== '/_api/agency/write') {
+    return null;
+  }
+
+  try {
+    const response = sendRequest('POST', '/_api/agency/read', [["/arango/Plan/Version"]]);
+    return response[0].arango.Plan.Version;
+  } catch (err) {
+    return null;
+  }
+};
+
+const appendJournal = (entry) => {
+  try {
+    fs.append(journal.file, JSON.stringify(entry) + "\n");
+  } catch (err) {
+    print("WARNING: cannot write journal file '" + journal.file + "': " + err);
+  }
+};
+
+const readJournal = (file) => {
+  if (!fs.isFile(file)) {
+    fatal("Cannot read journal file: '" + file + "'");
+  }
+
+  return fs.read(file).split("\n").filter((line) => {
+    return line.trim() !== "";
+  }).map((line, pos) => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      fatal("Corrupted entry in line " + (pos + 1) + " of journal file '" + file + "': " + err);
+    }
+  });
+};
+// journal - end //////////////////////////////////////////////////////////////
+
 // connections ////////////////////////////////////////////////////////////////
 let stringify;
 
@@ -51,10 +536,7 @@ const mustStringify = () => {
   return stringify;
 };
 
-const httpWrapper = (method, url, payload, headers) => {
-  if (!arango[method]) {
-    fatal("Unknown HTTP method " + method);
-  }
+const sendRequest = (method, url, payload, headers) => {
   if (method === 'GET' || method === 'DELETE' ||
       method === 'GET_RAW' || method === 'DELETE_RAW') {
     return arango[method](url, headers);
@@ -67,6 +549,109 @@ const httpWrapper = (method, url, payload, headers) => {
     return arango[method](url, payload, headers);
   }
 };
+
+const httpWrapper = (method, url, payload, headers) => {
+  if (!arango[method]) {
+    fatal("Unknown HTTP method " + method);
+  }
+  if (!isMutatingRequest(method, url)) {
+    return sendRequest(method, url, payload, headers);
+  }
+  if (dryRun) {
+    return printDryRunRequest(method, url, payload);
+  }
+
+  checkConfirmation(method, url);
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    task: journal.task,
+    args: journal.args,
+    endpoint: getEndpoint(),
+    method: method,
+    url: url,
+    body: payload,
+    planVersionBefore: readPlanVersion(url)
+  };
+
+  try {
+    entry.response = sendRequest(method, url, payload, headers);
+    return entry.response;
+  } catch (err) {
+    entry.error = String(err);
+    throw err;
+  } finally {
+    entry.planVersionAfter = readPlanVersion(url);
+    appendJournal(entry);
+  }
+};
+
+/*
+ * Sends a list of agency transactions `[operations, preconditions]` in one
+ * request and reports for each transaction whether it was applied or skipped
+ * because its precondition failed. `labels` describe the transactions in the
+ * report, by default the first key of the operations is used.
+ */
+const describeTransaction = (trx) => {
+  const keys = Object.keys(trx[0] || {}).filter((key) => !/Plan\/Version$/.test(key));
+  if (keys.length === 0) {
+    return Object.keys(trx[0] || {})[0] || "(empty transaction)";
+  }
+  return keys[0] + (keys.length > 1 ? " (+" + (keys.length - 1) + " more keys)" : "");
+};
+
+const agencyWrite = (trxs, labels) => {
+  const report = {
+    applied: 0,
+    skipped: 0,
+    errors: 0,
+    transactions: []
+  };
+
+  if (trxs.length === 0) {
+    print("INFO: nothing to write");
+    return report;
+  }
+
+  const res = httpWrapper('POST', '/_api/agency/write', trxs);
+
+  if (res.dryRun) {
+    report.dryRun = true;
+    return report;
+  }
+
+  trxs.forEach((trx, pos) => {
+    const label = (labels && labels[pos]) || describeTransaction(trx);
+    let status;
+
+    if (!Array.isArray(res.results) || res.results[pos] === undefined) {
+      status = "error";
+      report.errors++;
+      print("ERROR: " + label + ": " + (res.errorMessage || JSON.stringify(res)));
+    } else if (res.results[pos] === 0) {
+      status = "skipped";
+      report.skipped++;
+      print("WARNING: " + label + ": pre-condition failed, maybe cleanup already done");
+    } else {
+      status = "applied";
+      report.applied++;
+      print("INFO: " + label + ": applied at raft index " + res.results[pos]);
+    }
+
+    report.transactions.push({ label, status, index: res.results ? res.results[pos] : undefined });
+  });
+
+  print("INFO: " + report.applied + " applied, " + report.skipped +
+        " skipped (precondition), " + report.errors + " errors");
+  addResult("agencyWrite", report);
+
+  return report;
+};
+
+// `corrupted` is the number of entries of the input file left out
+const agencyWriteStatus = (report, corrupted = 0) => {
+  return (report.skipped > 0 || report.errors > 0 || corrupted > 0) ? exitCodes.PARTIAL_FAILURE : exitCodes.HEALTHY;
+};
 // connections - end //////////////////////////////////////////////////////////
 
 // roles //////////////////////////////////////////////////////////////////////
@@ -152,6 +737,15 @@ const checkLeader = () => {
 // roles - end ////////////////////////////////////////////////////////////////
 
 // file reading ///////////////////////////////////////////////////////////////
+/*
+ * Files ending in `.gz` are decompressed. A file which is not a single JSON
+ * value is read as one JSON value per line, as written by arangodump, and
+ * returned as an array of the lines.
+ */
+const parseJsonLines = (content) => {
+  return content.split('\n').filter((line) => line.trim() !== '').map((line) => JSON.parse(line));
+};
+
 const readJsonFile = (file, mustBeRead = false) => {
   if (file === undefined || !fs.isFile(file)) {
     if (mustBeRead) {
@@ -160,26 +754,232 @@ const readJsonFile = (file, mustBeRead = false) => {
     return undefined;
   }
   print("reading file '" + file + "'");
+
+  let content;
+
   try {
-    return JSON.parse(fs.read(file));
+    content = file.endsWith('.gz') ? fs.readGzip(file) : fs.read(file);
   } catch (e) {
-    fatal(e);
+    fatal("Can not read file '" + file + "': " + e);
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    try {
+      return parseJsonLines(content);
+    } catch (ignore) {
+      fatal(e);
+    }
   }
 };
 // file reading - end /////////////////////////////////////////////////////////
 
+// output directory ///////////////////////////////////////////////////////////
+/*
+ * Tasks generating remediation files write them into an output directory,
+ * by default `<task>-<timestamp>` below the current directory, which is
+ * created when the first file is written. Every file is registered in the
+ * `manifest.json` of the directory together with the issue it describes,
+ * the follow-up command and the role of the server the command must be run
+ * against (LEADER-AGENT or COORDINATOR).
+ */
+const outputDir = {
+  task: undefined,
+  path: undefined,
+  manifest: undefined,
+  check: undefined
+};
+
+const setOutputDir = (taskName, dir) => {
+  const created = new Date().toISOString();
+
+  outputDir.task = taskName;
+  outputDir.check = undefined;
+  outputDir.path = dir || (taskName + "-" + created.replace(/[:.]/g, '-'));
+  outputDir.manifest = {
+    task: taskName,
+    created: created,
+    endpoint: getEndpoint(),
+    files: []
+  };
+};
+
+const getOutputDir = () => {
+  return outputDir.path;
+};
+
+/*
+ * `entry` describes the file: `issue`, the follow-up `task` and its `role`.
+ * Further arguments of the follow-up command, which the user has to choose,
+ * can be given as `extraArgs`. Returns the absolute path of the file.
+ */
+const writeOutputFile = (name, content, entry = {}) => {
+  if (outputDir.path === undefined) {
+    fatal("No output directory set for '" + name + "'");
+  }
+
+  if (!fs.isDirectory(outputDir.path)) {
+    fs.makeDirectoryRecursive(outputDir.path);
+  }
+
+  const file = fs.makeAbsolute(fs.join(outputDir.path, name));
+  fs.write(file, content);
+
+  let command;
+
+  if (entry.task) {
+    command = "./maintenance.sh <options> " + entry.task + " " + file +
+      (entry.extraArgs ? " " + entry.extraArgs : "");
+  }
+
+  outputDir.manifest.files = outputDir.manifest.files.filter((f) => f.file !== name);
+  outputDir.manifest.files.push({
+    file: name,
+    issue: entry.issue,
+    check: outputDir.check,
+    task: entry.task,
+    role: entry.role,
+    command: command
+  });
+
+  fs.write(fs.join(outputDir.path, "manifest.json"), JSON.stringify(outputDir.manifest, null, 2));
+
+  return file;
+};
+
+// the check writing the next files, recorded in the manifest
+const setOutputCheck = (id) => {
+  outputDir.check = id;
+};
+
+const getOutputManifest = () => {
+  return outputDir.manifest;
+};
+
+const printOutputDir = () => {
+  if (outputDir.manifest && outputDir.manifest.files.length > 0) {
+    print("INFO: wrote " + outputDir.manifest.files.length + " file(s) to '" +
+          fs.makeAbsolute(outputDir.path) + "', see manifest.json");
+    addResult("outputDir", fs.makeAbsolute(outputDir.path));
+  }
+};
+// output directory - end /////////////////////////////////////////////////////
+
 // agency dumps and config ////////////////////////////////////////////////////
+/*
+ * Agency dumps reach us in different shapes. `agencyDumpFormats` lists the
+ * known ones, the first format whose `match` returns the agency (the object
+ * containing `arango`) wins. If none matches, the agency is searched for in
+ * the nested objects, e.g. of a debug package.
+ */
+const isAgency = (obj) => {
+  return obj !== null && typeof obj === 'object' && !Array.isArray(obj) && _.has(obj, 'arango');
+};
+
+// the snapshot of the newest compaction of the agency state
+const getLatestCompaction = (docs) => {
+  const compactions = docs.map((doc) => {
+    // arangodump before 3.8 wraps each document as {type, data}
+    return (doc && typeof doc.type === 'number' && doc.data) ? doc.data : doc;
+  }).filter((doc) => doc && Array.isArray(doc.readDB) && isAgency(doc.readDB[0]));
+
+  if (compactions.length === 0) {
+    return undefined;
+  }
+
+  return _.maxBy(compactions, (doc) => Number(doc.index !== undefined ? doc.index : doc._key)).readDB[0];
+};
+
+const agencyDumpFormats = [
+  {
+    name: "agency dump [{arango}]",
+    match: (c) => Array.isArray(c) && isAgency(c[0]) ? c[0] : undefined
+  },
+  {
+    name: "agency read result [[{arango}]]",
+    match: (c) => Array.isArray(c) && Array.isArray(c[0]) && isAgency(c[0][0]) ? c[0][0] : undefined
+  },
+  {
+    name: "agency snapshot {arango}",
+    match: (c) => isAgency(c) ? c : undefined
+  },
+  {
+    name: "agency history {agency: {arango}}",
+    match: (c) => c && isAgency(c.agency) ? c.agency : undefined
+  },
+  {
+    name: "agency state {compactions: [{readDB}]}",
+    match: (c) => c && Array.isArray(c.compactions) ? getLatestCompaction(c.compactions) : undefined
+  },
+  {
+    name: "agency compaction {readDB}",
+    match: (c) => c && !Array.isArray(c) ? getLatestCompaction([c]) : undefined
+  },
+  {
+    name: "arangodump of the agency compactions",
+    match: (c) => Array.isArray(c) ? getLatestCompaction(c) : undefined
+  }
+];
+
+// returns { agency, path } of the first agency found, breadth first
+const findEmbeddedAgency = (content, maxDepth = 4) => {
+  let level = [{ value: content, path: [] }];
+
+  for (let depth = 0; depth <= maxDepth && level.length > 0; ++depth) {
+    const next = [];
+
+    for (const { value, path } of level) {
+      if (isAgency(value)) {
+        return { agency: value, path: path.join('.') };
+      }
+      if (value !== null && typeof value === 'object') {
+        _.each(value, (child, key) => {
+          next.push({ value: child, path: path.concat([String(key)]) });
+        });
+      }
+    }
+
+    level = next;
+  }
+
+  return undefined;
+};
+
+// returns { agency, format } or undefined, if the content is not recognised
+const recogniseAgencyDump = (content) => {
+  for (const format of agencyDumpFormats) {
+    const agency = format.match(content);
+
+    if (agency !== undefined) {
+      return { agency, format: format.name };
+    }
+  }
+
+  const embedded = findEmbeddedAgency(content);
+
+  if (embedded !== undefined) {
+    return { agency: embedded.agency, format: "agency embedded at '" + embedded.path + "'" };
+  }
+
+  return undefined;
+};
+
 const getAgencyDumpFromObject = (content) => {
   // content is a must be the parsed contnet of a json file
   if (!content) {
     return undefined;
-  } else if (Array.isArray(content)) {
-    return content[0];
-  } else if (_.has(content, ".agency") && _.has(content, "arango")) {
-    return content;
-  } else {
-    return content.agency;
   }
+
+  const recognised = recogniseAgencyDump(content);
+
+  if (recognised === undefined) {
+    fatal("Unrecognised agency dump format, known formats are: " +
+          agencyDumpFormats.map((f) => f.name).join(", "));
+  }
+
+  print("INFO: recognised agency dump format: " + recognised.format);
+  return recognised.agency;
 };
 
 const getAgencyDumpFromObjectOrAgency = (obj = undefined) => {
@@ -209,7 +1009,7 @@ const findAgencyFromCoordinator = () => {
   const response = httpWrapper('GET', '/_admin/cluster/health');
 
   if (response.code !== 200) {
-    fatal("Cannot read '/_admin/cluster/health', got: ", JSON.stringify(response));
+    fatal("Cannot read '/_admin/cluster/health', got: " + JSON.stringify(response));
   }
 
   for (const key in response.Health) {
@@ -225,6 +1025,31 @@ const findAgencyFromCoordinator = () => {
   fatal("Cannot find an healthy agent");
 };
 
+const findCoordinatorFromAgency = () => {
+  const dump = getAgencyDumpFromObjectOrAgency()[0];
+  const health = dump.arango.Supervision.Health;
+
+  for (const key in health) {
+    const server = health[key];
+
+    if (key.substring(0, 4) === 'CRDN' && server.Status === 'GOOD') {
+      print("INFO found a coordinator at '" + server.Endpoint + "'");
+      arango.reconnect(server.Endpoint, "_system");
+      return;
+    }
+  }
+
+  fatal("Cannot find an healthy coordinator");
+};
+
+const switchToCoordinator = () => {
+  if (getRole() !== 'COORDINATOR') {
+    findCoordinatorFromAgency();
+  }
+
+  checkCoordinator();
+};
+
 const switchToAgencyLeader = () => {
   const url = '/_api/agency/read';
 
@@ -282,27 +1107,392 @@ const getAgencyHistoryFromCoordinator = () => {
 };
 // agency dumps and config - end //////////////////////////////////////////////
 
-// arguments and usage ////////////////////////////////////////////////////////
+// agency layouts /////////////////////////////////////////////////////////////
 /*
- * Argument handling is very simple. Therefor we are a bit restricted in what is
- * possible:
+ * Differences of the agency layout between the versions, which the analysis
+ * has to know about:
  *
- * required arguments must be defined first:
+ *   - the version of the cluster is taken from the servers registered in
+ *     `Supervision/Health`, a dump file does not contain it otherwise
+ *   - databases with `replicationVersion` "2" keep their shards in replicated
+ *     logs instead of `Current/Collections`, they are left out
+ *   - `Supervision/Shards` lists the shards locked by a supervision job
+ *   - shard entries in `Current` of old versions have no `failoverCandidates`
+ */
+const getClusterVersion = (dump) => {
+  const health = (dump.arango.Supervision || {}).Health;
+  let version;
+
+  _.each(health, function (server) {
+    const candidate = semver.coerce(server.Version);
+
+    if (candidate !== null && (version === undefined || semver.gt(candidate, version))) {
+      version = candidate.version;
+    }
+  });
+
+  return version;
+};
+
+const isReplication2Database = (database) => {
+  return database !== undefined && String(database.replicationVersion) === "2";
+};
+
+// returns { dump, skipped }, `dump` without the replication 2 databases
+const withoutReplication2Databases = (dump) => {
+  const skipped = Object.keys(dump.arango.Plan.Databases).filter((name) => {
+    return isReplication2Database(dump.arango.Plan.Databases[name]);
+  });
+
+  if (skipped.length === 0) {
+    return { dump, skipped };
+  }
+
+  const plan = _.extend({}, dump.arango.Plan, {
+    Databases: _.omit(dump.arango.Plan.Databases, skipped),
+    Collections: _.omit(dump.arango.Plan.Collections, skipped)
+  });
+  if (plan.Analyzers !== undefined) {
+    plan.Analyzers = _.omit(plan.Analyzers, skipped);
+  }
+  const current = _.extend({}, dump.arango.Current, {
+    Databases: _.omit(dump.arango.Current.Databases, skipped),
+    Collections: _.omit(dump.arango.Current.Collections, skipped)
+  });
+
+  return {
+    dump: _.extend({}, dump, { arango: _.extend({}, dump.arango, { Plan: plan, Current: current }) }),
+    skipped
+  };
+};
+
+// name => job id for all locks of a supervision job in Supervision/<kind>
+const getSupervisionLocks = (dump, kind) => {
+  const locks = (dump.arango.Supervision || {})[kind] || {};
+  const blocked = {};
+
+  _.each(locks, function (job, name) {
+    blocked[name] = (job !== null && typeof job === 'object') ? job.jobId : job;
+  });
+
+  return blocked;
+};
+
+// shard name => job id for all shards locked by a supervision job
+const getBlockedShards = (dump) => getSupervisionLocks(dump, 'Shards');
+
+// server id => job id for all DBServers locked by a supervision job
+const getBlockedServers = (dump) => getSupervisionLocks(dump, 'DBServers');
+
+const getFailoverCandidates = (shard) => {
+  return shard.failoverCandidates || shard.servers || [];
+};
+// agency layouts - end ///////////////////////////////////////////////////////
+
+// rollback ///////////////////////////////////////////////////////////////////
+/*
+ * Cleanup tasks write a rollback file before they write to the agency. It
+ * contains the inverse of each transaction: every key is set back to the
+ * value given in its `old` precondition (or deleted, if it was `oldEmpty`),
+ * guarded by a precondition that the key still holds the value written by
+ * the task. `Plan/Version` increments are kept as increments. The task
+ * `rollback` applies such a file.
+ */
+const normalizeAgencyKey = (key) => {
+  return '/' + key.replace(/^\/+/, '');
+};
+
+const getAgencyValue = (dump, key) => {
+  const path = key.split('/').filter((x) => x !== '');
+  let value = dump;
+
+  for (const part of path) {
+    if (value === null || typeof value !== 'object' || !_.has(value, part)) {
+      return undefined;
+    }
+    value = value[part];
+  }
+
+  return value;
+};
+
+const findPrecondition = (prec, key) => {
+  const normalized = normalizeAgencyKey(key);
+  return _.find(prec, (value, k) => normalizeAgencyKey(k) === normalized);
+};
+
+const invertAgencyTransaction = (trx) => {
+  const [oper, prec] = trx;
+  const inverseOper = {};
+  const inversePrec = {};
+
+  _.each(oper, function (op, key) {
+    const isOp = (op !== null && typeof op === 'object' && !Array.isArray(op) && _.has(op, 'op'));
+
+    if (isOp && (op.op === 'increment' || op.op === 'decrement')) {
+      // versions must never go backwards
+      inverseOper[key] = op;
+      return;
+    }
+
+    let newValue;
+
+    if (!isOp) {
+      newValue = op;
+    } else if (op.op === 'set') {
+      newValue = op.new;
+    } else if (op.op !== 'delete') {
+      fatal("Cannot create rollback for operation '" + op.op + "' on '" + key + "'");
+    }
+
+    const pre = findPrecondition(prec, key);
+    let oldValue;
+
+    if (pre !== null && typeof pre === 'object' && !Array.isArray(pre) && _.has(pre, 'old')) {
+      oldValue = pre.old;
+    } else if (pre !== null && typeof pre === 'object' && pre.oldEmpty === true) {
+      oldValue = undefined;
+    } else if (pre !== undefined && (pre === null || typeof pre !== 'object' || Array.isArray(pre))) {
+      oldValue = pre;
+    } else {
+      fatal("Cannot create rollback for '" + key + "', the old value is unknown");
+    }
+
+    if (oldValue === undefined) {
+      inverseOper[key] = { op: 'delete' };
+    } else {
+      inverseOper[key] = { op: 'set', new: oldValue };
+    }
+
+    if (newValue === undefined) {
+      inversePrec[key] = { oldEmpty: true };
+    } else {
+      inversePrec[key] = { old: newValue };
+    }
+  });
+
+  return [inverseOper, inversePrec];
+};
+
+const saveRollbackFile = (taskName, trxs) => {
+  const inverse = trxs.map(invertAgencyTransaction).reverse();
+  const created = new Date().toISOString();
+  const file = "rollback-" + taskName + "-" + created.replace(/[:.]/g, '-') + ".json";
+
+  if (dryRun) {
+    print("DRY-RUN: not writing rollback file, it would contain: " + JSON.stringify(inverse));
+    return undefined;
+  }
+
+  const content = {
+    task: taskName,
+    created: created,
+    endpoint: getEndpoint(),
+    transactions: inverse
+  };
+
+  try {
+    fs.write(file, JSON.stringify(content));
+  } catch (err) {
+    fatal("Cannot write rollback file '" + file + "', not changing anything: " + err);
+  }
+
+  print("INFO: wrote rollback file, to undo the changes run the task `rollback` against the leader AGENT, e.g.:");
+  print(` ./maintenance.sh <options> rollback ${fs.makeAbsolute(file)}`);
+  print();
+
+  return file;
+};
+// rollback - end /////////////////////////////////////////////////////////////
+
+// profiles ///////////////////////////////////////////////////////////////////
+/*
+ * Connection profiles are read from `~/.cluster-maintenance.json`, or from
+ * the file given in the environment variable `CLUSTER_MAINTENANCE_PROFILES`.
+ * Each named profile holds the agent and coordinator endpoints, the username
+ * and the source of the secret:
  *
- *     command required1 required2 required3 ... optional1 optional2 optional3 ...
+ *   {
+ *     "prod-eu": {
+ *       "agents": ["ssl://agent1:8531", "ssl://agent2:8531"],
+ *       "coordinators": ["ssl://coordinator1:8529"],
+ *       "username": "root",
+ *       "secret": { "env": "PROD_EU_PASSWORD" }
+ *     }
+ *   }
  *
- * The next restriction is that optional arguments can be only omitted at the tail:
+ * The secret is a password read from an environment variable (`env`) or a
+ * file (`file`), or a JWT secret file (`jwtSecretFile`).
+ */
+const profileSecretSources = ['env', 'file', 'jwtSecretFile'];
+
+const getProfileFile = () => {
+  const env = require('internal').env;
+
+  if (env.CLUSTER_MAINTENANCE_PROFILES) {
+    return env.CLUSTER_MAINTENANCE_PROFILES;
+  }
+
+  return fs.join(env.HOME || env.USERPROFILE || ".", ".cluster-maintenance.json");
+};
+
+const getProfile = (name) => {
+  const file = getProfileFile();
+
+  if (!fs.isFile(file)) {
+    fatal("Cannot read profile file '" + file + "'");
+  }
+
+  let profiles;
+
+  try {
+    profiles = JSON.parse(fs.read(file));
+  } catch (err) {
+    fatal("Cannot parse profile file '" + file + "': " + err);
+  }
+
+  if (!_.has(profiles, name)) {
+    fatal("Unknown profile '" + name + "' in '" + file + "', available profiles: " +
+          Object.keys(profiles).join(", "));
+  }
+
+  const profile = profiles[name];
+
+  _.each(['agents', 'coordinators'], function (key) {
+    if (profile[key] !== undefined &&
+        (!Array.isArray(profile[key]) || !profile[key].every(_.isString))) {
+      fatal("Profile '" + name + "': '" + key + "' must be a list of endpoints");
+    }
+  });
+
+  if (_.isEmpty(profile.agents) && _.isEmpty(profile.coordinators)) {
+    fatal("Profile '" + name + "' contains neither agents nor coordinators");
+  }
+
+  if (profile.secret !== undefined) {
+    const sources = _.intersection(Object.keys(profile.secret), profileSecretSources);
+
+    if (sources.length !== 1) {
+      fatal("Profile '" + name + "': 'secret' must contain exactly one of: " +
+            profileSecretSources.join(", "));
+    }
+  }
+
+  return _.extend({ name }, profile);
+};
+
+// the role of the server a task expects to be connected to
+const getTaskRole = (task) => {
+  const wanted = task.args_arangosh || "";
+
+  if (/--server\.endpoint none/.test(wanted)) {
+    return undefined;
+  }
+
+  if (/AGENT/.test(wanted)) {
+    return "agent";
+  }
+
+  return "coordinator";
+};
+
+const getProfileEndpoint = (profile, role) => {
+  let endpoints = (role === "agent") ? profile.agents : profile.coordinators;
+
+  // an agent can also be found from a coordinator and vice versa
+  if (_.isEmpty(endpoints) && role === "agent") {
+    endpoints = profile.coordinators;
+  }
+
+  if (_.isEmpty(endpoints)) {
+    fatal("Profile '" + profile.name + "' does not contain any " + role + " endpoint");
+  }
+
+  return endpoints[0];
+};
+
+const getProfilePassword = (profile) => {
+  const secret = profile.secret || {};
+
+  if (secret.env !== undefined) {
+    const value = require('internal').env[secret.env];
+
+    if (value === undefined) {
+      fatal("Profile '" + profile.name + "': environment variable '" + secret.env + "' is not set");
+    }
+
+    return value;
+  }
+
+  if (secret.file !== undefined) {
+    if (!fs.isFile(secret.file)) {
+      fatal("Profile '" + profile.name + "': cannot read password file '" + secret.file + "'");
+    }
+
+    return fs.read(secret.file).trim();
+  }
+
+  return undefined;
+};
+
+// arangosh options for the profile, used by `maintenance.sh`. A password
+// must not end up on the command line, where `ps` shows it: without a JWT
+// secret file arangosh starts unconnected and `connectWithProfile` connects.
+const getProfileOptions = (profile, role) => {
+  if (role === undefined || !(profile.secret && profile.secret.jwtSecretFile !== undefined)) {
+    return ["--server.endpoint=none"];
+  }
+
+  const result = ["--server.endpoint=" + getProfileEndpoint(profile, role)];
+
+  if (profile.username !== undefined) {
+    result.push("--server.username=" + profile.username);
+  }
+
+  result.push("--server.jwt-secret-keyfile=" + profile.secret.jwtSecretFile);
+  return result;
+};
+
+// connects to the profile's server, if arangosh was started without one
+const connectWithProfile = (profile, role) => {
+  if (role === undefined || arango.isConnected()) {
+    return;
+  }
+
+  if (profile.secret && profile.secret.jwtSecretFile !== undefined) {
+    fatal("Profile '" + profile.name + "' uses a JWT secret file, please use " +
+          "maintenance.sh or pass `--server.jwt-secret-keyfile` to arangosh");
+  }
+
+  const endpoint = getProfileEndpoint(profile, role);
+  print("INFO: using profile '" + profile.name + "', connecting to '" + endpoint + "'");
+
+  arango.reconnect(endpoint, "_system", profile.username || "root", getProfilePassword(profile) || "");
+};
+// profiles - end /////////////////////////////////////////////////////////////
+
+// arguments and usage ////////////////////////////////////////////////////////
+/*
+ * Arguments can be given by position, by name or mixed:
  *
- *     command required1 required2 required3 ... optional1  -- good
- *     command required1 required2 required3 ... optional3  -- undefined behaviour
+ *     command value1 value2 value3
+ *     command --name1=value1 --name3 value3
+ *     command value1 --name3=value3
  *
+ * Named arguments are assigned first, the remaining positional values are
+ * then assigned, in order of definition, to the arguments that have not been
+ * given by name. Optional arguments without a value get their `default` (or
+ * `undefined`). Unknown names, arguments given twice and superfluous
+ * positional values are rejected. A boolean argument given by name without a
+ * value, e.g. `--dry-run`, is set to `true`.
  *
  * Sample definition:
  *
- *     Exports.args = [ { "name" : "input-file",    "optional" : false, "type": "jsonfile"},
+ *     exports.args = [ { "name" : "input-file",    "optional" : false, "type": "jsonfile"},
  *                      { "name" : "target-server", "optional" : false, "type": "string"},
- *                      { "name" : "leader-cid",    "optional" : false, "type": "string"},
- *                      { "name" : "shared-index",  "optional" : false, "type": "string"},
+ *                      { "name" : "level",         "optional" : true,  "type": "string",
+ *                        "values" : ["collection", "database"], "default": "collection"},
+ *                      { "name" : "dry-run",       "optional" : true,  "type": "boolean", "default": false}
  *                    ];
  *
  * Supported Types:
@@ -311,6 +1501,8 @@ const getAgencyHistoryFromCoordinator = () => {
  *     - jsonfile (value will be the parsed object)
  *     - boolean
  *
+ * If `values` is given, the (parsed) value must be one of the listed values.
+ *
  *  Usage in script:
  *
  *      let value = helper.getValue("valueName", args);
@@ -343,87 +1535,206 @@ const printUsage = (task) => {
       if (x.optional === true) {
         delim = "(optional) -";
       }
-      print(`  ${x.name} ${delim} ${x.description}`);
+      let extra = "";
+      if (Array.isArray(x.values)) {
+        extra += " (one of: " + x.values.join(", ") + ")";
+      }
+      if (x.default !== undefined) {
+        extra += " (default: " + x.default + ")";
+      }
+      print(`  ${x.name} ${delim} ${x.description}${extra}`);
     }
   });
+  if (usageArray.length > 0) {
+    print("  arguments can also be given by name, e.g. --" + usageArray[0].name + "=<value>");
+  }
   print(task.info);
 };
 
-const countArgs = (usageArray) => {
-  return usageArray.map((x) => x.optional)
-    .reduce((acc, optional) => { return acc + ((optional === true) ? 0 : 1); }, 0);
+const parseArgValue = (task, toSet, given) => {
+  let value;
+
+  switch (toSet.type) {
+  case 'string':
+    value = given;
+    break;
+  case 'jsonfile':
+    value = readJsonFile(given, true /* must read */);
+    break;
+  case 'boolean':
+  case 'bool': {
+      const v = String(given).toLowerCase();
+      if (['true', '1', 'y', 'yes'].indexOf(v) !== -1) {
+        value = true;
+      } else if (['false', '0', 'n', 'no'].indexOf(v) !== -1) {
+        value = false;
+      } else {
+        printUsage(task);
+        fatal("Argument '" + toSet.name + "' expects a boolean, got '" + given + "'");
+      }
+    }
+    break;
+  case 'int':
+    value = Number.parseInt(given);
+    if (Number.isNaN(value)) {
+      fatal("Argument '" + toSet.name + "' expects an integer, got '" + given + "'");
+    }
+    break;
+  default:
+    fatal("Unknown argument type: " + toSet.type);
+  }
+
+  if (Array.isArray(toSet.values) && toSet.values.indexOf(value) === -1) {
+    printUsage(task);
+    fatal("Argument '" + toSet.name + "' expects one of '" +
+          toSet.values.join("', '") + "', got '" + given + "'");
+  }
+
+  return value;
+};
+
+const isBooleanArg = (arg) => {
+  return arg.type === 'boolean' || arg.type === 'bool';
 };
 
 const checkArgs = (task, args) => {
   args.shift(); // remove task name from args
 
-  const proArgs = args.length;
-  const reqArgs = countArgs(task.args);
+  const given = {};
+  const positional = [];
+
+  // split named and positional arguments
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (typeof arg !== "string" || !arg.startsWith("--") || arg.length === 2) {
+      positional.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf("=");
+    const name = (eq === -1) ? arg.substr(2) : arg.substr(2, eq - 2);
+    const toSet = task.args.find(x => x.name === name);
 
-  if (proArgs < reqArgs) {
+    if (toSet === undefined) {
+      printUsage(task);
+      fatal("Unknown argument '--" + name + "' for task '" + task.name + "'");
+    }
+
+    if (given.hasOwnProperty(name)) {
+      printUsage(task);
+      fatal("Argument '" + name + "' given more than once");
+    }
+
+    if (eq !== -1) {
+      given[name] = arg.substr(eq + 1);
+    } else if (isBooleanArg(toSet) &&
+               (i + 1 === args.length || !/^(true|false|1|0|y|n|yes|no)$/i.test(args[i + 1]))) {
+      given[name] = "true";
+    } else if (i + 1 < args.length) {
+      given[name] = args[++i];
+    } else {
+      printUsage(task);
+      fatal("Missing value for argument '" + name + "'");
+    }
+  }
+
+  // assign positional arguments to the arguments not given by name
+  const unset = task.args.filter(x => !given.hasOwnProperty(x.name));
+
+  if (positional.length > unset.length) {
     printUsage(task);
-    fatal("Not enough arguments - " + proArgs +
-          " arguments provided while " + reqArgs +
-          " required!");
+    fatal("Too many arguments - " + positional.length +
+          " positional arguments provided while only " + unset.length +
+          " can be assigned");
   }
 
-  for (let i = 0; i < proArgs; i++) {
-    const given = args[i];
-    const toSet = task.args[i];
-    try {
-      switch (toSet.type) {
-      case 'string':
-        toSet.value = given;
-        break;
-      case 'jsonfile':
-        toSet.value = readJsonFile(given, true /* must read */);
-        break;
-      case 'boolean':
-      case 'bool': {
-          const v = given.toLowerCase();
-          if (v === 'true' || v === '1' || v === 'y') {
-            toSet.value = true;
-          } else {
-            toSet.value = false;
-          }
+  positional.forEach((value, i) => {
+    given[unset[i].name] = value;
+  });
+
+  const missing = task.args.filter(x => x.optional !== true && !given.hasOwnProperty(x.name));
+
+  if (missing.length > 0) {
+    printUsage(task);
+    fatal("Missing required argument(s): " + missing.map(x => x.name).join(", "));
+  }
+
+  task.args.forEach((toSet) => {
+    if (given.hasOwnProperty(toSet.name)) {
+      try {
+        toSet.raw = given[toSet.name];
+        toSet.value = parseArgValue(task, toSet, toSet.raw);
+      } catch (ex) {
+        if (ex instanceof FatalError) {
+          throw ex;
         }
-        break;
-      case 'int':
-        toSet.value = Number.parseInt(given);
-        break;
-      default:
-        fatal("Unknown argument type: " + toSet.type);
+        fatal("Error while parsing value for argument '" + toSet.name + "' message: " + ex);
       }
-    } catch (ex) {
-      fatal("Error while parsing value for argument '" + task.name + "' message: " + ex);
+    } else {
+      toSet.value = toSet.default;
     }
-  }
+  });
 
   return task.args;
 };
 
 const checkGlobalArgs = (args) => {
   const options = {
+    output: "text"
   };
 
-  let l = args.length;
+  let i = 0;
 
-  for (let i = 1; i < l; i++) {
+  while (i < args.length) {
     const name = args[i];
     let found = 0;
 
     if (name === '--find-leader') {
       print("INFO: `--find-leader` is no longer necessary and is ignored");
       found = 1;
-    }
-    else if (name === '--force') {
+    } else if (name === '--force') {
       options.force = true;
       found = 1;
+    } else if (name === '--dry-run') {
+      options.dryRun = true;
+      found = 1;
+    } else if (name === '--yes') {
+      options.yes = true;
+      found = 1;
+    } else if (name === '--journal') {
+      if (i + 1 >= args.length) {
+        fatal("Missing value for global option '--journal'");
+      }
+      options.journal = args[i + 1];
+      found = 2;
+    } else if (typeof name === "string" && name.startsWith('--journal=')) {
+      options.journal = name.substr(10);
+      found = 1;
+    } else if (name === '--output') {
+      if (i + 1 >= args.length) {
+        fatal("Missing value for global option '--output'");
+      }
+      options.output = args[i + 1];
+      found = 2;
+    } else if (typeof name === "string" && name.startsWith('--output=')) {
+      options.output = name.substr(9);
+      found = 1;
+    } else if (name === '--profile') {
+      if (i + 1 >= args.length) {
+        fatal("Missing value for global option '--profile'");
+      }
+      options.profile = args[i + 1];
+      found = 2;
+    } else if (typeof name === "string" && name.startsWith('--profile=')) {
+      options.profile = name.substr(10);
+      found = 1;
     }
 
     if (found > 0) {
       args.splice(i, found);
-      l -= found;
+    } else {
+      ++i;
     }
   }
 
@@ -671,11 +1982,25 @@ const showServers = function (dump, agency) {
   });
 
   print();
-  print(table.toString());
+  printTable(table);
   print();
 };
 // other helpers - end ////////////////////////////////////////////////////////
 
+// output
+exports.setOutputMode = setOutputMode;
+exports.isTextOutput = isTextOutput;
+exports.printTable = printTable;
+exports.addResult = addResult;
+exports.flushOutput = flushOutput;
+exports.runQuietly = runQuietly;
+
+// exit codes
+exports.exitCodes = exitCodes;
+exports.exitStatusName = exitStatusName;
+exports.FatalError = FatalError;
+exports.NotConfirmedError = NotConfirmedError;
+
 // messages
 exports.printGood = printGood;
 exports.printBad = printBad;
@@ -691,6 +2016,26 @@ exports.findServer = findServer;
 
 // connections
 exports.httpWrapper = httpWrapper;
+exports.agencyWrite = agencyWrite;
+exports.agencyWriteStatus = agencyWriteStatus;
+
+// confirmation
+exports.setConfirmation = setConfirmation;
+exports.readLine = readLine;
+exports.askConfirmation = askConfirmation;
+exports.summarizeAgencyTransactions = summarizeAgencyTransactions;
+exports.confirmChanges = confirmChanges;
+exports.confirmAgencyWrite = confirmAgencyWrite;
+
+// journal
+exports.setJournalFile = setJournalFile;
+exports.getJournalFile = getJournalFile;
+exports.setTaskContext = setTaskContext;
+exports.readJournal = readJournal;
+
+// dry-run
+exports.enableDryRun = enableDryRun;
+exports.isDryRun = isDryRun;
 
 // roles
 exports.checkCoordinator = checkCoordinator;
@@ -701,11 +2046,39 @@ exports.checkAgent = checkAgent;
 // file reading
 exports.readJsonFile = readJsonFile;
 
+// output directory
+exports.setOutputDir = setOutputDir;
+exports.getOutputDir = getOutputDir;
+exports.writeOutputFile = writeOutputFile;
+exports.setOutputCheck = setOutputCheck;
+exports.getOutputManifest = getOutputManifest;
+exports.printOutputDir = printOutputDir;
+
 // agency dump and config
 exports.getAgencyDumpFromObjectOrAgency = getAgencyDumpFromObjectOrAgency;
 exports.getAgencyHistoryFromCoordinator = getAgencyHistoryFromCoordinator;
 exports.getAgencyConfiguration = getAgencyConfiguration;
 exports.switchToAgencyLeader = switchToAgencyLeader;
+exports.switchToCoordinator = switchToCoordinator;
+
+// agency layouts
+exports.getClusterVersion = getClusterVersion;
+exports.isReplication2Database = isReplication2Database;
+exports.withoutReplication2Databases = withoutReplication2Databases;
+exports.getBlockedShards = getBlockedShards;
+exports.getBlockedServers = getBlockedServers;
+exports.getFailoverCandidates = getFailoverCandidates;
+
+// rollback
+exports.getAgencyValue = getAgencyValue;
+exports.invertAgencyTransaction = invertAgencyTransaction;
+exports.saveRollbackFile = saveRollbackFile;
+
+// profiles
+exports.getProfile = getProfile;
+exports.getTaskRole = getTaskRole;
+exports.getProfileOptions = getProfileOptions;
+exports.connectWithProfile = connectWithProfile;
 
 // arguments and usage
 exports.printUsage = printUsage;
@@ -96,6 +96,12 @@
     if (typeof task.description !== "string") {
       fatal("Task definition from file '" + file + "' does not contain a valid description");
     }
+    if (task.destructive !== undefined && typeof task.destructive !== "boolean") {
+      fatal("Task definition from file '" + file + "' does not contain a valid destructive flag");
+    }
+    if (task.printInfo !== undefined && typeof task.printInfo !== "function") {
+      fatal("Task definition from file '" + file + "' does not contain a valid printInfo callback");
+    }
     if (task.selfTests && !Array.isArray(task.selfTests)) {
       fatal("Task definition from file '" + file + "' does not contain a valid selfTests definition");
     }
@@ -132,6 +138,9 @@
         validateTask(file, t);
         return t;
       } catch (err) {
+        if (err instanceof helper.FatalError) {
+          throw err;
+        }
         fatal("Unable to load task definition from file '" + file + "': " + String(err));
       }
     }).filter(function (task) {
@@ -151,29 +160,70 @@
     return result;
   };
 
-  startupSelfTest();
-  const requestedTask = ARGUMENTS[0];
-  const tasks = loadTasks();
+  const main = function () {
+    // global options may be given anywhere on the command line
+    const options = helper.checkGlobalArgs(ARGUMENTS);
 
-  if (isEmpty(tasks)) {
-    fatal("No tasks loaded - check version requirements!");
-  }
+    startupSelfTest();
+    const requestedTask = ARGUMENTS[0];
+    helper.setOutputMode(options.output, requestedTask);
 
-  if (!tasks.hasOwnProperty(requestedTask)) {
-    fatal("Requested task '" + requestedTask +
-          "' not found. Available tasks: " +
-          Object.keys(tasks).join(", "));
-  }
+    if (options.journal) {
+      helper.setJournalFile(options.journal);
+    }
 
-  let task = tasks[requestedTask];
-  let options = helper.checkGlobalArgs(ARGUMENTS);
+    if (options.dryRun) {
+      helper.enableDryRun();
+      print("INFO: dry-run mode, no changes will be written");
+    }
 
-  if (task && task.selfTests) {
-    task.selfTests.forEach(function (test) {
-      selfTests[test.name](test.args || {}, options);
-    });
+    const tasks = loadTasks();
+
+    if (isEmpty(tasks)) {
+      fatal("No tasks loaded - check version requirements!");
+    }
+
+    if (!tasks.hasOwnProperty(requestedTask)) {
+      fatal("Requested task '" + requestedTask +
+            "' not found. Available tasks: " +
+            Object.keys(tasks).join(", "));
+    }
+
+    let task = tasks[requestedTask];
+    helper.setConfirmation(task.destructive, options.yes);
+
+    if (options.profile) {
+      helper.connectWithProfile(helper.getProfile(options.profile), helper.getTaskRole(task));
+    }
+
+    if (task && task.selfTests) {
+      task.selfTests.forEach(function (test) {
+        selfTests[test.name](test.args || {}, options);
+      });
+    }
+
+    let args = helper.checkArgs(task, ARGUMENTS);
+    helper.setTaskContext(task.name, args);
+    return task.run({ tasks }, args, options);
+  };
+
+  // the task returns the exit code, see `helper.exitCodes`
+  let status;
+
+  try {
+    status = main() || helper.exitCodes.HEALTHY;
+  } catch (err) {
+    if (err instanceof helper.FatalError) {
+      status = err.exitCode;
+    } else {
+      print("FATAL: unexpected error: " + (err.stack || err));
+      status = helper.exitCodes.ERROR;
+    }
   }
 
-  let args = helper.checkArgs(task, ARGUMENTS);
-  task.run({ tasks }, args, options);
+  helper.flushOutput(helper.exitStatusName(status));
+
+  if (status) {
+    process.exit(status);
+  }
 })();
@@ -0,0 +1,36 @@
+#!/usr/bin/arangosh --javascript.execute
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global ARGUMENTS, print */
+
+// Prints the arangosh connection options of the profile given by `--profile`,
+// one per line. Used by `maintenance.sh`, which passes the full command line.
+
+(function () {
+  const fs = require("fs");
+  const helper = require(fs.join(__dirname, "helper"));
+
+  try {
+    const options = helper.checkGlobalArgs(ARGUMENTS);
+
+    if (!options.profile) {
+      return;
+    }
+
+    const profile = helper.getProfile(options.profile);
+    const file = fs.join(__dirname, "tasks", ARGUMENTS[0] + ".js");
+    let role = "agent";
+
+    if (/^[a-z0-9-]+$/.test(ARGUMENTS[0] || "") && fs.isFile(file)) {
+      role = helper.getTaskRole(require(file));
+    }
+
+    helper.getProfileOptions(profile, role).forEach(function (option) {
+      print(option);
+    });
+  } catch (err) {
+    if (!(err instanceof helper.FatalError)) {
+      print("FATAL: " + err);
+    }
+    process.exit(helper.exitCodes.ERROR);
+  }
+})();
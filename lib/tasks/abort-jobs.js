@@ -0,0 +1,129 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+exports.name = "abort-jobs";
+exports.group = "cleanup tasks";
+exports.args = [
+  {
+    name: "stuck-jobs-file",
+    optional: false,
+    type: "jsonfile",
+    description: "json file created by analyze task"
+  },
+  {
+    name: "job-ids",
+    optional: true,
+    type: "string",
+    description: "comma separated list of the jobs to abort (default: all jobs in the file)"
+  }
+];
+exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
+exports.description = "Aborts stuck supervision jobs found by analyze task.";
+exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
+exports.requires = "3.3.23 - 3.11.99";
+exports.destructive = true;
+exports.info = `
+Aborts the supervision jobs listed by the analyze task as stuck. A job is
+moved from Target/ToDo or Target/Pending to Target/Failed and the locks it
+holds in Supervision/Shards and Supervision/DBServers are released.
+
+Each job is aborted in its own transaction, which is skipped if the job or
+one of its locks has changed since the analysis, e.g. because the job has
+finished in the meantime.
+
+Pending jobs are refused once they have changed Plan, because moving them
+to Target/Failed would not undo these changes. A pending moveShard is only
+aborted while its target server is not yet in the Plan of its shard; the
+transaction is skipped if the Plan of the shard changes in the meantime.
+All other pending jobs have changed Plan or Target when they started and
+are refused.
+`;
+
+exports.run = function (extra, args) {
+  // imports
+  const _ = require('lodash');
+  const helper = require('../helper.js');
+
+  const jobs = helper.getValue("stuck-jobs-file", args);
+  const jobIds = helper.getValue("job-ids", args);
+  let selected = jobs;
+
+  if (jobIds !== undefined) {
+    const ids = jobIds.split(',').map((id) => id.trim()).filter((id) => id !== '');
+    const unknown = ids.filter((id) => !_.some(jobs, (job) => job.jobId === id));
+
+    if (unknown.length > 0) {
+      helper.fatal("Unknown job(s) " + unknown.join(", ") + ", the file contains: " + _.map(jobs, 'jobId').join(", "));
+    }
+
+    selected = jobs.filter((job) => _.includes(ids, job.jobId));
+  }
+
+  const timeFinished = new Date().toISOString();
+  const trxs = [];
+  let corrupted = 0;
+  let refused = 0;
+
+  // the shards of the pending moveShard jobs in Plan
+  const shardPath = (job) => "arango/Plan/Collections/" + job.database + "/" + job.collection + "/shards/" + job.shard;
+  const moves = selected.filter((job) => job.state === 'Pending' && _.get(job, ['job', 'type']) === 'moveShard');
+  const plan = moves.length === 0 ? {}
+    : helper.httpWrapper('POST', '/_api/agency/read', [moves.map((job) => "/" + shardPath(job.job))])[0];
+
+  _.each(selected, function (job) {
+    if ((job.state !== 'ToDo' && job.state !== 'Pending') || job.jobId === undefined || job.job === undefined) {
+      print("ERROR: corrupted entry in stuck jobs file: " + JSON.stringify(job));
+      ++corrupted;
+      return;
+    }
+
+    const oper = {};
+    const prec = {};
+
+    if (job.state === 'Pending') {
+      const servers = job.job.type === 'moveShard' ? _.get(plan, shardPath(job.job).split('/')) : undefined;
+
+      if (!Array.isArray(servers) || _.includes(servers, job.job.toServer)) {
+        print("WARNING: not aborting " + job.type + " job " + job.jobId + ", it has already changed Plan");
+        ++refused;
+        return;
+      }
+
+      prec[shardPath(job.job)] = { old: servers };
+    }
+
+    const key = "arango/Target/" + job.state + "/" + job.jobId;
+    const failed = "arango/Target/Failed/" + job.jobId;
+
+    oper[key] = { op: "delete" };
+    prec[key] = { old: job.job };
+
+    oper[failed] = _.extend({}, job.job, { timeFinished, reason: "aborted by " + exports.name });
+    prec[failed] = { oldEmpty: true };
+
+    _.each(job.locks, function (lock) {
+      oper[lock.key] = { op: "delete" };
+      prec[lock.key] = { old: lock.value };
+    });
+
+    trxs.push({ trx: [oper, prec], description: job.type + " job " + job.jobId + " (" + job.state + ")" });
+  });
+
+  if (trxs.length === 0) {
+    if (corrupted > 0) {
+      print("ERROR: no job aborted, " + corrupted + " corrupted entries");
+      return helper.exitCodes.ERROR;
+    }
+    if (refused > 0) {
+      print("WARNING: no job aborted, " + refused + " job(s) have already changed Plan");
+      return helper.exitCodes.ISSUES;
+    }
+    helper.printGood("No job to abort");
+    return helper.exitCodes.HEALTHY;
+  }
+
+  helper.confirmAgencyWrite(trxs.map(x => x.trx));
+  helper.saveRollbackFile(exports.name, trxs.map(x => x.trx));
+
+  const report = helper.agencyWrite(trxs.map(x => x.trx), trxs.map(x => x.description));
+  return helper.agencyWriteStatus(report, corrupted + refused);
+};
@@ -0,0 +1,344 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+exports.name = "analyze-history";
+exports.group = "analyze tasks";
+exports.args = [
+  {
+    name: "history-file",
+    optional: false,
+    type: "jsonfile",
+    description: "agency history written by the history task"
+  },
+  {
+    name: "since",
+    optional: true,
+    type: "string",
+    description: "only show events at or after this time (ISO 8601)"
+  },
+  {
+    name: "until",
+    optional: true,
+    type: "string",
+    description: "only show events before this time (ISO 8601)"
+  },
+  {
+    name: "database",
+    optional: true,
+    type: "string",
+    description: "only show events of this database"
+  },
+  {
+    name: "collection",
+    optional: true,
+    type: "string",
+    description: "only show events of this collection (name or id)"
+  },
+  {
+    name: "shard",
+    optional: true,
+    type: "string",
+    description: "only show events of this shard"
+  },
+  {
+    name: "server",
+    optional: true,
+    type: "string",
+    description: "only show events involving this server"
+  }
+];
+exports.args_arangosh = " --server.endpoint none";
+exports.description = "Shows the agency history as a timeline.";
+exports.selfTests = [];
+exports.requires = "3.4.6 - 3.11.99";
+exports.info = `
+Reads the agency history written by the "history" task and prints the
+log entries as a timeline:
+
+ - write:          keys written to Plan, Current and Target, together with
+                   the type of the job the write belongs to
+ - job:            jobs created, started, finished or failed
+ - health:         status changes of the servers in Supervision/Health
+ - leader change:  a new leader of a shard in Plan
+ - failover:       a leader change away from a failed leader
+
+Writes of Sync, the Plan and Current versions and the heartbeats of
+Supervision/Health are not listed. The timeline can be restricted with
+--since, --until, --database, --collection, --shard and --server, e.g.:
+
+    ./maintenance.sh analyze-history history.json --since=2021-03-04T03:10 --until=2021-03-04T03:15
+`;
+
+const _ = require('lodash');
+
+const jobStates = { ToDo: "created", Pending: "started", Finished: "finished", Failed: "failed" };
+
+// keys which change all the time and are no information on their own
+const noisePattern = /^arango\/(Sync\/|Plan\/Version$|Current\/Version$|Supervision\/Health\/)/;
+
+const agencyKeyPattern = /^\/?arango(\/|$)/;
+
+const parseTime = (value) => {
+  if (typeof value === 'number') {
+    // milliseconds or seconds since the epoch
+    return new Date(value > 1e11 ? value : value * 1000);
+  } else if (typeof value === 'string' && value !== '') {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? undefined : new Date(time);
+  }
+  return undefined;
+};
+
+// all agency operations of a log entry as [{ key, op, value }]
+const getOperations = (request) => {
+  const operations = [];
+
+  const collect = (part) => {
+    if (Array.isArray(part)) {
+      // [[oper, prec], ...] or [oper, prec], the preconditions are skipped
+      if (part.length === 2 && !Array.isArray(part[0]) && !Array.isArray(part[1])) {
+        collect(part[0]);
+      } else {
+        part.forEach(collect);
+      }
+    } else if (part !== null && typeof part === 'object') {
+      _.each(part, (operation, key) => {
+        if (!agencyKeyPattern.test(key)) {
+          return;
+        }
+
+        const isOperation = operation !== null && typeof operation === 'object' &&
+          !Array.isArray(operation) && typeof operation.op === 'string';
+
+        operations.push({
+          key: key.replace(/^\/+/, ''),
+          op: isOperation ? operation.op : "set",
+          value: isOperation ? operation.new : operation
+        });
+      });
+    }
+  };
+
+  collect(request);
+  return operations;
+};
+
+// the log entries of the history, oldest first
+const getLogEntries = (history) => {
+  const log = Array.isArray(history) ? history : (history.log || []);
+
+  return _.sortBy(log.map((entry, i) => {
+    const index = entry.index !== undefined ? entry.index : entry._key;
+    return {
+      index: index !== undefined ? Number(index) : i,
+      term: entry.term,
+      time: parseTime(entry.timestamp),
+      operations: getOperations(entry.request !== undefined ? entry.request : entry.query)
+    };
+  }), 'index');
+};
+
+// the snapshot of the agency the log is replayed on, if any: the newest
+// compaction at or before the first log entry, a newer one would already
+// contain the changes of the entries
+const getSnapshot = (history, firstIndex) => {
+  const compactions = [].concat(history.compactions || history.compaction || []);
+  const index = (c) => Number(c.index !== undefined ? c.index : c._key);
+  const snapshots = compactions.filter((c) => c && Array.isArray(c.readDB) && c.readDB[0] && c.readDB[0].arango &&
+    (firstIndex === undefined || index(c) <= firstIndex));
+
+  if (snapshots.length === 0) {
+    return undefined;
+  }
+
+  return _.maxBy(snapshots, index).readDB[0];
+};
+
+const createTimeline = (history) => {
+  const entries = getLogEntries(history);
+  const snapshot = getSnapshot(history, entries.length > 0 ? entries[0].index : undefined);
+  const arango = snapshot ? snapshot.arango : {};
+
+  // state at the time of the current log entry
+  const names = {};
+  const leaders = {};
+  const health = _.mapValues(_.get(arango, ['Supervision', 'Health'], {}), (s) => s.Status);
+
+  _.each(_.get(arango, ['Plan', 'Collections'], {}), (collections, database) => {
+    _.each(collections, (collection, cid) => {
+      names[database + "/" + cid] = collection.name;
+      _.each(collection.shards, (servers, shard) => {
+        leaders[shard] = servers[0];
+      });
+    });
+  });
+
+  const events = [];
+
+  _.each(entries, (entry) => {
+    const jobs = entry.operations.filter((o) => /^arango\/Target\/(ToDo|Pending|Finished|Failed)\/[^/]+$/.test(o.key));
+    const jobType = _.compact(_.uniq(jobs.map((o) => _.get(o.value, 'type')))).join(", ");
+
+    const add = (category, object, details, context = {}) => {
+      events.push(_.extend({
+        time: entry.time ? entry.time.toISOString() : undefined,
+        index: entry.index,
+        category,
+        object,
+        details,
+        job: jobType,
+        servers: []
+      }, context));
+    };
+
+    const leaderChange = (database, cid, shard, servers) => {
+      if (!Array.isArray(servers)) {
+        return;
+      }
+
+      const old = leaders[shard];
+      const leader = servers[0];
+      leaders[shard] = leader;
+
+      if (old === undefined || leader === undefined || old === leader) {
+        return;
+      }
+
+      const context = { database, cid, collection: names[database + "/" + cid], shard, servers: [old, leader] };
+      const object = database + "/" + (context.collection || cid) + "/" + shard;
+
+      if (health[old] === 'FAILED' || /failedLeader/i.test(jobType)) {
+        add("failover", object, old + " -> " + leader, context);
+      } else {
+        add("leader change", object, old + " -> " + leader, context);
+      }
+    };
+
+    _.each(entry.operations, (operation) => {
+      const path = operation.key.split('/');
+      const value = operation.value;
+
+      // job state changes
+      if (path[1] === 'Target' && jobStates[path[2]] && path.length === 4) {
+        if (operation.op === 'set' && value !== null && typeof value === 'object') {
+          add("job", path[3], (value.type || "job") + " " + jobStates[path[2]], {
+            job: value.type || jobType,
+            database: value.database,
+            shard: value.shard,
+            servers: _.compact([value.server, value.fromServer, value.toServer])
+          });
+        }
+        return;
+      }
+
+      // health transitions
+      if (path[1] === 'Supervision' && path[2] === 'Health' && path.length >= 4) {
+        const server = path[3];
+        const status = path.length === 4 ? _.get(value, 'Status') : (path[4] === 'Status' ? value : undefined);
+
+        if (typeof status === 'string') {
+          if (health[server] !== undefined && health[server] !== status) {
+            add("health", server, health[server] + " -> " + status, { servers: [server] });
+          }
+          health[server] = status;
+        }
+        return;
+      }
+
+      // collection names and leaders from Plan
+      if (path[1] === 'Plan' && path[2] === 'Collections' && path.length >= 5) {
+        const database = path[3];
+        const cid = path[4];
+
+        if (path.length === 5 && value !== null && typeof value === 'object') {
+          if (value.name) {
+            names[database + "/" + cid] = value.name;
+          }
+          _.each(value.shards, (servers, shard) => leaderChange(database, cid, shard, servers));
+        } else if (path.length === 7 && path[5] === 'shards') {
+          leaderChange(database, cid, path[6], value);
+        }
+      }
+
+      if (noisePattern.test(operation.key)) {
+        return;
+      }
+
+      const context = { servers: Array.isArray(value) ? value.filter((v) => typeof v === 'string') : [] };
+
+      if ((path[1] === 'Plan' || path[1] === 'Current') && path[2] === 'Collections') {
+        _.extend(context, {
+          database: path[3],
+          cid: path[4],
+          collection: names[path[3] + "/" + path[4]],
+          shard: path[1] === 'Plan' ? path[6] : path[5]
+        });
+      } else if ((path[1] === 'Plan' || path[1] === 'Current') && path[2] === 'Databases') {
+        context.database = path[3];
+      }
+
+      add("write", "/" + operation.key, operation.op, context);
+    });
+  });
+
+  return events;
+};
+
+exports.run = function (extra, args) {
+  // imports
+  const AsciiTable = require('../3rdParty/ascii-table');
+  const helper = require('../helper.js');
+
+  const timeArgument = (name) => {
+    const value = helper.getValue(name, args);
+    if (value === undefined) {
+      return undefined;
+    }
+    const time = parseTime(value);
+    if (time === undefined) {
+      helper.fatal("Argument '" + name + "' expects a time, got '" + value + "'");
+    }
+    return time.getTime();
+  };
+
+  const history = helper.getValue("history-file", args);
+  const since = timeArgument("since");
+  const until = timeArgument("until");
+  const database = helper.getValue("database", args);
+  const collection = helper.getValue("collection", args);
+  const shard = helper.getValue("shard", args);
+  const server = helper.getValue("server", args);
+
+  if (!Array.isArray(history) && !Array.isArray(history.log)) {
+    helper.fatal("The file does not contain an agency history, expected the output of the history task");
+  }
+
+  const events = createTimeline(history).filter((event) => {
+    const time = event.time !== undefined ? Date.parse(event.time) : undefined;
+
+    return (since === undefined || (time !== undefined && time >= since)) &&
+      (until === undefined || (time !== undefined && time < until)) &&
+      (database === undefined || event.database === database) &&
+      (collection === undefined || event.collection === collection || event.cid === collection) &&
+      (shard === undefined || event.shard === shard) &&
+      (server === undefined || event.object === server || _.includes(event.servers, server));
+  });
+
+  helper.addResult("timeline", events);
+
+  const table = new AsciiTable('Agency history');
+  table.setHeading('Time', 'Index', 'Event', 'Object', 'Details', 'Job');
+
+  _.each(events, (event) => {
+    table.addRow(event.time || "-", event.index, event.category, event.object, event.details, event.job);
+  });
+
+  print();
+  helper.printTable(table);
+  print();
+
+  const counts = _.countBy(events, 'category');
+  print("INFO: " + events.length + " event(s)" + (events.length > 0 ? ": " : "") +
+        _.map(counts, (count, category) => count + " " + category).join(", "));
+
+  return helper.exitCodes.HEALTHY;
+};
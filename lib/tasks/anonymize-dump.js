@@ -0,0 +1,241 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+exports.name = "anonymize-dump";
+exports.group = "standalone tasks";
+exports.args = [
+  {
+    name: "output-file",
+    optional: false,
+    type: "string",
+    description: "file for the anonymized agency dump"
+  },
+  {
+    name: "agency-dump",
+    optional: true,
+    type: "jsonfile",
+    description: "agency dump (default: read from the agency)"
+  },
+  {
+    name: "mapping-file",
+    optional: true,
+    type: "string",
+    description: "file for the mapping back to the real names (default: <output-file>-mapping.json)"
+  }
+];
+exports.args_arangosh = "| --server.endpoint AGENT-OR-COORDINATOR";
+exports.description = "Writes an agency dump with anonymized names and endpoints.";
+exports.selfTests = ["arango", "db"];
+exports.requires = "3.3.23 - 3.11.99";
+exports.info = `
+Writes a copy of an agency dump, which can be handed to third parties.
+
+Databases, collections, views, user-defined analyzers, shards, servers,
+hosts and endpoints are renamed, the same name always gets the same
+replacement. Names starting with "_" like "_system" or "_graphs" are kept,
+as well as the prefixes of the hidden smart graph collections and the
+roles of the servers (PRMR-, CRDN-, AGNT-, SNGL-). Secrets, e.g. JWT
+settings and passwords, are removed.
+
+The mapping from the replacements back to the real names is written to
+the mapping file. Keep it private. If the mapping file exists already,
+it is reused and extended, so several dumps of the same cluster are
+anonymized the same way.
+`;
+
+const _ = require('lodash');
+
+// mapping kind => prefix of the replacements
+const kinds = {
+  databases: "database-",
+  collections: "collection-",
+  views: "view-",
+  analyzers: "analyzer-",
+  shards: "s",
+  servers: "",
+  hosts: "host-"
+};
+
+// agency containers whose keys are database names
+const databaseContainers = [
+  "Databases", "Collections", "Views", "Analyzers", "ReplicatedLogs", "CollectionGroups"
+];
+
+const builtinAnalyzers = [
+  "identity", "text_de", "text_en", "text_es", "text_fi", "text_fr", "text_it",
+  "text_nl", "text_no", "text_pt", "text_ru", "text_sv", "text_zh"
+];
+
+const hiddenCollectionPrefixes = ["_local_", "_from_", "_to_"];
+
+const serverPattern = /^(PRMR|CRDN|AGNT|SNGL)-.+$/;
+const shardPattern = /^s\d+$/;
+const endpointPattern = /^([a-z0-9+]+):\/\/(\[[^\]]*\]|[^:/]*)(.*)$/;
+const ipPattern = /\b\d{1,3}(\.\d{1,3}){3}\b/g;
+const secretPattern = /jwt|secret|password|passwd|token/i;
+
+const createAnonymizer = (mapping) => {
+  const replace = (kind, name) => {
+    const names = mapping[kind];
+
+    if (!_.has(names, name)) {
+      const n = Object.keys(names).length + 1;
+
+      if (kind === "servers") {
+        names[name] = name.split('-')[0] + "-" + _.padStart(String(n), 8, '0');
+      } else {
+        names[name] = kinds[kind] + n;
+      }
+    }
+
+    return names[name];
+  };
+
+  const database = (name) => {
+    return name.startsWith('_') ? name : replace("databases", name);
+  };
+
+  const collection = (name) => {
+    const prefix = hiddenCollectionPrefixes.find((p) => name.startsWith(p));
+
+    if (prefix !== undefined) {
+      return prefix + collection(name.substr(prefix.length));
+    }
+
+    return name.startsWith('_') ? name : replace("collections", name);
+  };
+
+  const analyzer = (name) => {
+    const parts = name.split('::');
+
+    if (parts.length === 2) {
+      return database(parts[0]) + "::" + analyzer(parts[1]);
+    }
+
+    return _.includes(builtinAnalyzers, name) ? name : replace("analyzers", name);
+  };
+
+  const endpoint = (value) => {
+    const match = value.match(endpointPattern);
+    return match[1] + "://" + replace("hosts", match[2]) + match[3].replace(ipPattern, (ip) => replace("hosts", ip));
+  };
+
+  const key = (name, path) => {
+    const parent = path[path.length - 1];
+
+    if (serverPattern.test(name)) {
+      return replace("servers", name);
+    } else if (shardPattern.test(name)) {
+      return replace("shards", name);
+    } else if (path.length === 3 && path[0] === "arango" && _.includes(databaseContainers, parent)) {
+      return database(name);
+    } else if (parent === "links") {
+      return collection(name);
+    }
+
+    return name;
+  };
+
+  // `path` is the list of the original keys leading to the value
+  const string = (value, path) => {
+    const name = path[path.length - 1];
+
+    if (serverPattern.test(value)) {
+      return replace("servers", value);
+    } else if (shardPattern.test(value)) {
+      return replace("shards", value);
+    } else if (endpointPattern.test(value)) {
+      return endpoint(value);
+    } else if (name === "Host" || name === "host") {
+      return replace("hosts", value);
+    } else if (name === "database") {
+      return database(value);
+    } else if (name === "name" && path[0] === "arango") {
+      const container = path[2];
+
+      if (container === "Databases") {
+        return database(value);
+      } else if (container === "Collections" && path.length === 6) {
+        return collection(value);
+      } else if (container === "Views" && path.length === 6) {
+        return value.startsWith('_') ? value : replace("views", value);
+      } else if (_.includes(path, "analyzerDefinitions")) {
+        return analyzer(value);
+      }
+    } else if (_.includes(path, "analyzers") || name === "analyzer") {
+      return analyzer(value);
+    }
+
+    return value.replace(ipPattern, (ip) => replace("hosts", ip));
+  };
+
+  const anonymize = (value, path = []) => {
+    if (secretPattern.test(path[path.length - 1])) {
+      return "<removed>";
+    } else if (Array.isArray(value)) {
+      return value.map((v) => anonymize(v, path));
+    } else if (value !== null && typeof value === 'object') {
+      const result = {};
+
+      _.each(value, (v, k) => {
+        result[key(k, path)] = anonymize(v, path.concat([k]));
+      });
+
+      return result;
+    } else if (typeof value === 'string') {
+      return string(value, path);
+    }
+
+    return value;
+  };
+
+  return anonymize;
+};
+
+// the mapping file lists for each kind the replacement => real name
+const readMapping = (file) => {
+  const fs = require('fs');
+  const mapping = _.mapValues(kinds, () => ({}));
+
+  if (fs.isFile(file)) {
+    const helper = require('../helper.js');
+    const saved = helper.readJsonFile(file, true);
+
+    _.each(saved, (names, kind) => {
+      if (_.has(mapping, kind)) {
+        mapping[kind] = _.invert(names);
+      }
+    });
+  }
+
+  return mapping;
+};
+
+exports.run = function (extra, args) {
+  // imports
+  const fs = require('fs');
+  const helper = require('../helper.js');
+
+  const file = helper.getValue("output-file", args);
+  const mappingFile = helper.getValue("mapping-file", args) ||
+    file.replace(/\.json$/, '') + "-mapping.json";
+
+  if (fs.makeAbsolute(file) === fs.makeAbsolute(mappingFile)) {
+    helper.fatal("The mapping file must differ from the output file");
+  }
+
+  const dump = helper.getAgencyDumpFromObjectOrAgency(helper.getValue("agency-dump", args))[0];
+  const mapping = readMapping(mappingFile);
+  const anonymized = createAnonymizer(mapping)(dump);
+
+  fs.write(file, JSON.stringify([ anonymized ]));
+  fs.write(mappingFile, JSON.stringify(_.mapValues(mapping, (names) => _.invert(names)), null, 2));
+
+  helper.printGood("wrote anonymized agency dump to: " + file);
+  print("WARNING: the mapping file '" + mappingFile + "' contains the real names, do not share it");
+
+  helper.addResult("outputFile", fs.makeAbsolute(file));
+  helper.addResult("mappingFile", fs.makeAbsolute(mappingFile));
+  helper.addResult("replaced", _.mapValues(mapping, (names) => Object.keys(names).length));
+
+  return helper.exitCodes.HEALTHY;
+};
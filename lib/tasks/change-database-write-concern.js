@@ -24,14 +24,16 @@ exports.args = [
   {
     name: "dry-run",
     optional: true,
-    type: "string",
-    description: "dry run to only review the agency transaction ([true|false] default: false)"
+    type: "boolean",
+    default: false,
+    description: "deprecated, use the global option --dry-run"
   }
 ];
 exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Changes write concern of a database";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
 exports.requires = "3.6.0 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 Changes write concern value of a database.
 `;
@@ -42,32 +44,36 @@ exports.run = function (extra, args) {
   const parsedFile = helper.getValue("agency-dump", args);
   var agency = helper.getAgencyDumpFromObjectOrAgency(parsedFile);
   const database = helper.getValue("database", args);
-  const dryRun = helper.getValue("dry-run", args);
+  // kept for compatibility, same as the global option `--dry-run`
+  if (helper.getValue("dry-run", args)) {
+    print("WARNING: the argument 'dry-run' is deprecated, please use the global option --dry-run");
+    helper.enableDryRun();
+  }
   var writeConcern = helper.getValue("write-concern", args);
 
   if (agency.length !== 1) {
     print("ERROR: invalid agency dump");
-    return;
+    return helper.exitCodes.ERROR;
   }
   agency = agency[0];
   if (!Object.prototype.hasOwnProperty.call(agency, "arango")) {
     print("ERROR: invalid agency dump");
-    return;
+    return helper.exitCodes.ERROR;
   }
 
   const db = agency.arango.Plan.Databases[database];
   if (db === undefined) {
     print("ERROR: database " + database + " does not exist in this agency");
-    return;
+    return helper.exitCodes.ERROR;
   }
 
   if (writeConcern > db.replicationFactor) {
     print("ERROR: writeConcern higher than the database replication factor");
-    return;
+    return helper.exitCodes.ERROR;
   }
   if (writeConcern > Object.keys(agency.arango.Plan.DBServers).length) {
     print("ERROR: writeConcern higher than #database servers");
-    return;
+    return helper.exitCodes.ERROR;
   }
   const cols = agency.arango.Plan.Collections[database];
 
@@ -75,7 +81,7 @@ exports.run = function (extra, args) {
     writeConcern = parseInt(writeConcern);
   } catch (e) {
     print("ERROR: cannot convert write-concern parameter to an integer " + e);
-    return;
+    return helper.exitCodes.ERROR;
   }
 
   var opers = {};
@@ -92,15 +98,8 @@ exports.run = function (extra, args) {
   precs["arango/Cluster"] = agency.arango.Cluster; // same cluster as dump
 
   const trx = [[opers, precs]];
-  if (dryRun === "true") {
-    print(trx);
-  } else {
-    const res = helper.httpWrapper('POST', '/_api/agency/write', trx);
-    if (res.results[0] === 0) {
-      print("WARNING: pre-condition failed, maybe adjustment has been already done");
-    } else {
-      print("INFO: " + JSON.stringify(res));
-    }
-  }
+  helper.confirmAgencyWrite(trx);
 
+  const report = helper.agencyWrite(trx, ["write concern of database " + database]);
+  return helper.agencyWriteStatus(report);
 };
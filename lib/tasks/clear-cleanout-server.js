@@ -14,6 +14,7 @@ exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Clears cleanout server list";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
 exports.requires = "3.6.0 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 Removes the cleaned out servers at '/arango/Target/CleanedServers'.
 `;
@@ -43,11 +44,8 @@ exports.run = function (extra, args) {
 
   data[0].push(obj);
 
-  const res = helper.httpWrapper('POST', '/_api/agency/write', data);
+  helper.confirmAgencyWrite(data);
 
-  if (res.results[0] === 0) {
-    print("WARNING: pre-condition failed, maybe cleanup already done");
-  } else {
-    print("INFO: " + JSON.stringify(res));
-  }
+  const report = helper.agencyWrite(data, ["cleaned server " + serverId]);
+  return helper.agencyWriteStatus(report);
 };
@@ -8,6 +8,7 @@ exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Clears maintenance and hot-backup flags.";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
 exports.requires = "3.3.23 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 Clears the maintenance and hot-backup flags in the supervision.
 `;
@@ -45,13 +46,10 @@ exports.run = function (extra, args) {
   data[0].push(obj);
 
   if (maintenance || create) {
-    const res = helper.httpWrapper('POST', '/_api/agency/write', data);
+    helper.confirmAgencyWrite(data);
 
-    if (res.results[0] === 0) {
-      print("WARNING: pre-condition failed, maybe cleanup already done");
-    } else {
-      print("INFO: " + JSON.stringify(res));
-    }
+    const report = helper.agencyWrite(data, ["maintenance and hot-backup flags"]);
+    return helper.agencyWriteStatus(report);
   } else {
     print("INFO: nothing to do");
   }
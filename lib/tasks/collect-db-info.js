@@ -141,6 +141,9 @@ exports.run = function (extra, args) {
 
     helper.printGood("wrote info to: " + file);
   } catch (ex) {
+    if (ex instanceof helper.FatalError) {
+      throw ex;
+    }
     helper.fatal("cannot get information: " + ex);
   }
 
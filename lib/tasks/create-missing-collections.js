@@ -22,6 +22,7 @@ exports.run = function (extra, args) {
   const _ = require('underscore');
   const helper = require('../helper.js');
   let missingCollections = helper.getValue("missing-collections-file", args);
+  let errors = 0;
 
   try {
     _.each(missingCollections, function (entry) {
@@ -48,19 +49,28 @@ exports.run = function (extra, args) {
             properties.distributeShardsLike = "_graphs";
           }
 
+          if (helper.isDryRun()) {
+            print("DRY-RUN: not creating collection " + name + " with properties " + JSON.stringify(properties));
+            return;
+          }
+
           db._create(name, properties);
           print("created collection " + name);
         } catch (err) {
           // 1207 = duplicate name. this means somebody else has created the collection in the meantime
           if (err.errorNum !== 1207) {
+            ++errors;
             print("an error occurred while creating missing collection " + name + ": " + String(err));
           }
         }
       });
     });
   } catch (err) {
+    ++errors;
     print("an error occurred while creating missing collections: " + String(err));
   } finally {
     db._useDatabase("_system");
   }
+
+  return errors > 0 ? helper.exitCodes.PARTIAL_FAILURE : helper.exitCodes.HEALTHY;
 };
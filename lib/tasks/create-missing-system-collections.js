@@ -18,6 +18,7 @@ write privileges for all databases).
 
 exports.run = function (extra, args) {
   const semver = require("semver");
+  const helper = require('../helper.js');
   let old = db._name();
   let errors = 0;
   let collections = 0;
@@ -50,6 +51,11 @@ exports.run = function (extra, args) {
           properties.distributeShardsLike = "_graphs";
         }
 
+        if (helper.isDryRun()) {
+          print("- DRY-RUN: not creating collection " + collection + " in db " + name + " with properties " + JSON.stringify(properties));
+          return;
+        }
+
         print("- creating collection " + collection + " in db " + name + " with properties " + JSON.stringify(properties));
         c = db._create(collection, properties);
         ++collections;
@@ -73,4 +79,6 @@ exports.run = function (extra, args) {
   print();
   print("created " + collections + " collection(s), got " + errors + " error(s)");
   print();
+
+  return errors > 0 ? helper.exitCodes.PARTIAL_FAILURE : helper.exitCodes.HEALTHY;
 };
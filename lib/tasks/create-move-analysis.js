@@ -8,17 +8,24 @@ exports.args = [
     "optional": true,
     "type": "jsonfile",
     "description": "agency dump file"
+  },
+  {
+    "name": "output-dir",
+    "optional": true,
+    "type": "string",
+    "description": "directory for the move plan (default: create-move-analysis-<timestamp>)"
   }
 ];
 exports.args_arangosh = "| --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Creates analysis for a plan to rebalance shards in your cluster.";
 exports.selfTests = ["arango", "db"];
-exports.requires = "3.3.23 - 3.7.99";
+exports.requires = "3.3.23 - 3.11.99";
 exports.info = `
 This task creates operations that can be applied to rebalance shards in a
 cluster that has become inbalanced due to server failures.
 
-Execute the analyze shard script (will also create a move plan "moveShardsPlan.json"):
+Execute the analyze shard script (will also create a move plan "moveShardsPlan.json"
+in the directory "create-move-analysis-<timestamp>" or the one given by --output-dir):
  - arangosh --javascript.execute ./maintenance.sh  create-move-analysis --server.endpoint tcp://(ip-address):(agency-port)> (agency)
  - arangosh --javascript.execute ./maintenance.sh  create-move-analysis --server.endpoint agencyDump.json (dump)
 `;
@@ -34,10 +41,14 @@ exports.run = function (extra, args) {
 
   // variables
   const file = helper.getValue("dump-file", args);
-  const dump = helper.getAgencyDumpFromObjectOrAgency(file)[0];
+  helper.setOutputDir(exports.name, helper.getValue("output-dir", args));
+  // replication 2 databases place their shards differently, leave them alone
+  const dump = helper.withoutReplication2Databases(helper.getAgencyDumpFromObjectOrAgency(file)[0]).dump;
   const agencyPlan = dump.arango.Plan;
   const initAgencyCollections = agencyPlan.Collections;
   const health = dump.arango.Supervision.Health;
+  // shards locked by a running supervision job must not be moved
+  const blockedShards = helper.getBlockedShards(dump);
 
   // statics
   const MAX_ITERATIONS = 200;
@@ -111,6 +122,10 @@ exports.run = function (extra, args) {
     return names;
   };
 
+  let isSatelliteCollection = function (collection) {
+    return collection.replicationFactor === 0 || collection.replicationFactor === "satellite";
+  };
+
   let isInternalGraphsCollection = function (collectionName) {
     if (collectionName.charAt(0) === '_') {
       if (collectionName.substring(0, 3) === '_to_') {
@@ -326,6 +341,11 @@ exports.run = function (extra, args) {
           return;
         }
 
+        if (isSatelliteCollection(collection)) {
+          // satellites live on all dbservers, nothing to rebalance
+          return;
+        }
+
         if (collection.distributeShardsLike) {
           // found followers, add them to the bucket
           addFollowerCollection(collection, databaseName);
@@ -561,7 +581,8 @@ exports.run = function (extra, args) {
     */
 
     // TODO: re-enable upper logic, this needs some chnages in our agency!
-    if (shardLeaderMoveHistory.indexOf(shardId) !== -1 || shardFollowerMoveHistory.indexOf(shardId) !== -1) {
+    if (shardLeaderMoveHistory.indexOf(shardId) !== -1 || shardFollowerMoveHistory.indexOf(shardId) !== -1 ||
+        _.has(blockedShards, shardId)) {
       potentialOptimizations = true;
       return {
         success: success,
@@ -877,7 +898,7 @@ exports.run = function (extra, args) {
       scoreTable.addRow([
         object.optimized, object.degraded, object.equal
       ]);
-      print(scoreTable.toString());
+      helper.printTable(scoreTable);
     };
 
     let start = scores[0];
@@ -989,7 +1010,7 @@ exports.run = function (extra, args) {
         print("No possibilities to optimize sharded (numberOfShards > 1) collections.");
       } else {
         print();
-        print(shardedCollectionsTable.toString());
+        helper.printTable(shardedCollectionsTable);
         printScoreChange(collectionStatistics);
         print();
       }
@@ -1031,7 +1052,7 @@ exports.run = function (extra, args) {
         print("No possibilities to optimize single sharded (numberOfShards = 1) collections.");
       } else {
         print("");
-        print(singleShardCollectionsTable.toString());
+        helper.printTable(singleShardCollectionsTable);
         printScoreChange(singleShardCollectionStatistics);
       }
       print("");
@@ -1126,8 +1147,9 @@ exports.run = function (extra, args) {
    */
   // Save to file
   if (jobHistory.length > 0) {
-    fs.write("moveShardsPlan.json", JSON.stringify(jobHistory));
-    print("Written to file: \"moveShardsPlan.json\"");
+    const planFile = helper.writeOutputFile("moveShardsPlan.json", JSON.stringify(jobHistory),
+      { issue: "shard-imbalance", task: "execute-move-plan", role: "COORDINATOR" });
+    print("Written to file: \"" + planFile + "\"");
 
     print();
     print("=== Info ===");
@@ -1139,7 +1161,7 @@ exports.run = function (extra, args) {
       print("with the current scores yet.");
     }
     print();
-    print("Use \"execute-move-plan\" to execute the created \"moveShardsPlan.json\"");
+    print("Use \"execute-move-plan\" to execute the created \"" + planFile + "\"");
     print("  -> Use a coordinator endpoint");
     print();
     print("Use \"show-move-shards\" to track the current progress of your move shard");
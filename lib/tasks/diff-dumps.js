@@ -0,0 +1,203 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+exports.name = "diff-dumps";
+exports.group = "analyze tasks";
+exports.args = [
+  {
+    name: "old-dump",
+    optional: false,
+    type: "jsonfile",
+    description: "the earlier agency dump"
+  },
+  {
+    name: "new-dump",
+    optional: false,
+    type: "jsonfile",
+    description: "the later agency dump"
+  }
+];
+exports.args_arangosh = " --server.endpoint none";
+exports.description = "Shows the differences between two agency dumps.";
+exports.selfTests = [];
+exports.requires = "3.3.23 - 3.11.99";
+exports.info = `
+Compares two agency dumps of the same cluster, e.g. snapshots taken with
+the "dump" task during an incident, and lists:
+
+ - added or removed databases and collections
+ - shards whose servers changed in Plan or in Current
+ - shards with a new leader in Plan
+ - followers which came into or fell out of sync
+ - status changes of the servers in Supervision/Health
+ - new, finished and failed jobs in Target
+ - the change of Plan/Version and Current/Version
+
+Use --output json to get the differences as JSON. Returns 1 if the dumps
+differ, 0 otherwise.
+`;
+
+const _ = require('lodash');
+
+// collection full name => { shard => { plan, current } }
+const getShards = (info, dump) => {
+  const shards = {};
+
+  _.each(info.collections, function (collection, fullName) {
+    const database = fullName.substr(0, fullName.length - collection.name.length - 1);
+    const plan = dump.arango.Plan.Collections[database][collection.id].shards || {};
+    const current = _.get(dump.arango.Current.Collections, [database, collection.id], {});
+
+    shards[fullName] = _.mapValues(plan, function (servers, shard) {
+      return {
+        plan: servers,
+        current: _.get(current, [shard, 'servers'], [])
+      };
+    });
+  });
+
+  return shards;
+};
+
+const normalize = (dump) => {
+  const helper = require('../helper.js');
+  const info = {};
+
+  helper.extractDatabases(info, dump);
+
+  return {
+    databases: Object.keys(info.databases),
+    collections: Object.keys(info.collections),
+    shards: getShards(info, dump),
+    health: _.mapValues(dump.arango.Supervision.Health, (server) => server.Status),
+    jobs: _.pick(dump.arango.Target, ['ToDo', 'Pending', 'Finished', 'Failed']),
+    planVersion: dump.arango.Plan.Version,
+    currentVersion: dump.arango.Current.Version
+  };
+};
+
+// followers of the planned servers which are in sync according to Current
+const inSync = (shard) => {
+  return _.intersection(shard.plan.slice(1), shard.current.slice(1));
+};
+
+const describeJob = (job) => {
+  return _.compact([job.type, job.database, job.shard, job.server || job.fromServer,
+    job.toServer ? "-> " + job.toServer : undefined]).join(" ");
+};
+
+const diff = (before, after) => {
+  const differences = [];
+  const add = (category, object, oldValue, newValue) => {
+    differences.push({ category, object, old: oldValue, new: newValue });
+  };
+  const servers = (list) => list.length > 0 ? list.join(", ") : "-";
+
+  _.difference(after.databases, before.databases).forEach((db) => add("database added", db, "-", db));
+  _.difference(before.databases, after.databases).forEach((db) => add("database removed", db, db, "-"));
+  _.difference(after.collections, before.collections).forEach((c) => add("collection added", c, "-", c));
+  _.difference(before.collections, after.collections).forEach((c) => add("collection removed", c, c, "-"));
+
+  _.each(_.intersection(before.collections, after.collections), function (collection) {
+    _.each(after.shards[collection], function (shard, name) {
+      const old = before.shards[collection][name];
+      const object = collection + "/" + name;
+
+      if (old === undefined) {
+        return;
+      }
+
+      if (old.plan[0] !== shard.plan[0]) {
+        add("leader changed", object, old.plan[0] || "-", shard.plan[0] || "-");
+      }
+      if (!_.isEqual(old.plan, shard.plan)) {
+        add("plan changed", object, servers(old.plan), servers(shard.plan));
+      }
+      if (!_.isEqual(old.current, shard.current)) {
+        add("current changed", object, servers(old.current), servers(shard.current));
+      }
+
+      const oldInSync = inSync(old);
+      const newInSync = inSync(shard);
+
+      _.difference(newInSync, oldInSync).forEach((server) => add("follower in sync", object, "-", server));
+      // a follower which became leader or was removed is not out of sync
+      _.difference(oldInSync, newInSync).filter((server) => _.includes(shard.plan.slice(1), server))
+        .forEach((server) => add("follower out of sync", object, server, "-"));
+    });
+  });
+
+  _.each(_.union(Object.keys(before.health), Object.keys(after.health)), function (server) {
+    const oldStatus = before.health[server] || "-";
+    const newStatus = after.health[server] || "-";
+
+    if (oldStatus !== newStatus) {
+      add("server status", server, oldStatus, newStatus);
+    }
+  });
+
+  _.each(['ToDo', 'Pending'], function (state) {
+    _.each(after.jobs[state], function (job, id) {
+      if (!_.some(['ToDo', 'Pending', 'Finished', 'Failed'], (s) => _.has(before.jobs[s], id))) {
+        add("job created", id, "-", describeJob(job));
+      }
+    });
+  });
+  _.each(['Finished', 'Failed'], function (state) {
+    _.each(after.jobs[state], function (job, id) {
+      if (!_.has(before.jobs[state], id)) {
+        add("job " + state.toLowerCase(), id, "-", describeJob(job));
+      }
+    });
+  });
+
+  [["Plan/Version", "planVersion"], ["Current/Version", "currentVersion"]].forEach(([key, attribute]) => {
+    const oldVersion = before[attribute];
+    const newVersion = after[attribute];
+
+    if (oldVersion !== newVersion) {
+      const delta = (typeof oldVersion === 'number' && typeof newVersion === 'number')
+        ? " (" + (newVersion >= oldVersion ? "+" : "") + (newVersion - oldVersion) + ")" : "";
+      add("version", key, String(oldVersion), newVersion + delta);
+    }
+  });
+
+  return differences;
+};
+
+exports.run = function (extra, args) {
+  // imports
+  const AsciiTable = require('../3rdParty/ascii-table');
+  const helper = require('../helper.js');
+
+  const before = normalize(helper.getAgencyDumpFromObjectOrAgency(helper.getValue("old-dump", args))[0]);
+  const after = normalize(helper.getAgencyDumpFromObjectOrAgency(helper.getValue("new-dump", args))[0]);
+
+  if (before.planVersion > after.planVersion) {
+    print("WARNING: the old dump has the higher Plan/Version, are the dumps swapped?");
+  }
+
+  const differences = diff(before, after);
+  helper.addResult("differences", differences);
+
+  if (differences.length === 0) {
+    helper.printGood("The agency dumps do not differ");
+    return helper.exitCodes.HEALTHY;
+  }
+
+  const table = new AsciiTable('Differences');
+  table.setHeading('Category', 'Object', 'Old', 'New');
+
+  _.each(differences, function (d) {
+    table.addRow(d.category, d.object, d.old, d.new);
+  });
+
+  print();
+  helper.printTable(table);
+  print();
+
+  const counts = _.countBy(differences, 'category');
+  print("INFO: " + differences.length + " difference(s): " +
+        _.map(counts, (count, category) => count + " " + category).join(", "));
+
+  return helper.exitCodes.ISSUES;
+};
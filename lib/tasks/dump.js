@@ -27,6 +27,9 @@ exports.run = function (extra, args) {
     fs.write(file, JSON.stringify([ dump ]));
     helper.printGood("wrote agency dump to: " + file);
   } catch (ex) {
+    if (ex instanceof helper.FatalError) {
+      throw ex;
+    }
     helper.fatal("error while getting agency dump: " + ex);
   }
 };
@@ -75,6 +75,10 @@ exports.run = function (extra, args) {
         const collection = db._collection(entry.shard);
 
         print("-- " + entry.dbname + "/" + entry.cname + "/" + entry.shard);
+        if (helper.isDryRun()) {
+          print("   DRY-RUN: not compacting");
+          return;
+        }
         try {
           collection.compact();
         } catch (ex) {
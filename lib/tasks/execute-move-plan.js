@@ -12,13 +12,15 @@ exports.args = [
   { "name": "amount",
     "optional": true,
     "type": "int",
-    "description": "limit for number of shards to move"
+    "default": -1,
+    "description": "limit for number of shards to move (-1 = no limit)"
   }
 ];
 exports.args_arangosh = "--server.endpoint COORDINATOR";
 exports.description = "Executes plan created by create-move-plan task.";
 exports.selfTests = ["arango", "db", "coordinatorConnection"];
-exports.requires = "3.3.23 - 3.7.99";
+exports.requires = "3.3.23 - 3.11.99";
+exports.destructive = true;
 exports.info = `
 Executes operations that have been calculated by the create-move-plan task. 
 This operation will do the actual rebalancing of a cluster.
@@ -30,9 +32,14 @@ exports.run = function (extra, args) {
 
   let shardsToMove = helper.getValue("move-plan-file", args);
   let amount = helper.getValue("amount", args);
-  if (amount === undefined) {
-    amount = -1;
-  }
+
+  const moves = amount === -1 ? shardsToMove : _.first(shardsToMove, amount);
+  helper.confirmChanges({
+    databases: _.uniq(_.pluck(moves, "database")),
+    collections: _.uniq(_.map(moves, (s) => s.database + "/" + s.collection)),
+    servers: _.uniq(_.flatten(_.map(moves, (s) => [s.fromServer, s.toServer]))),
+    description: "shards to move: " + moves.length
+  });
 
   let failed = 0;
   let success = 0;
@@ -59,5 +66,11 @@ exports.run = function (extra, args) {
     }
   });
 
-  print("Started " + success + " move jobs. (" + failed + " of them failed)");
+  if (helper.isDryRun()) {
+    print("Would have started " + success + " move jobs.");
+  } else {
+    print("Started " + success + " move jobs. (" + failed + " of them failed)");
+  }
+
+  return failed > 0 ? helper.exitCodes.PARTIAL_FAILURE : helper.exitCodes.HEALTHY;
 };
@@ -13,6 +13,7 @@ exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Performs forced failover as calculated by analyze task.";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
 exports.requires = "3.3.23 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 Executes force failover as calculated by the analyze task.
 `;
@@ -26,7 +27,7 @@ exports.run = function (extra, args) {
 
   if (!shardGroups.hasOwnProperty(leaderCid)) {
     print(`FATAL: ${leaderCid} is not tracked in the output, it is not necessary to do a force failover on it, as it still has sync followers`);
-    return;
+    return helper.exitCodes.ERROR;
   }
 
   const {plan, db} = shardGroups[leaderCid];
@@ -39,7 +40,7 @@ exports.run = function (extra, args) {
   for (const [cid, colInfo] of Object.entries(plan)) {
     if (colInfo.length <= shardIndex) {
       print(`FATAL: Given shardIndex out of bounds, given index: ${shardIndex} numberOfShards found: ${colInfo.length}`);
-      return;
+      return helper.exitCodes.ERROR;
     }
     const myinfo = colInfo[shardIndex];
     const planPathPrefix = `/arango/Plan/Collections/${db}/${cid}/shards/${myinfo.shard}`;
@@ -57,11 +58,9 @@ exports.run = function (extra, args) {
     };
   }
 
-  const res = helper.httpWrapper('POST', '/_api/agency/write', [[data, prec]]);
+  helper.confirmAgencyWrite([[data, prec]]);
+  helper.saveRollbackFile(exports.name, [[data, prec]]);
 
-  if (res.results[0] === 0) {
-    print("WARNING: pre-condition failed, maybe cleanup already done");
-  } else {
-    print("INFO: " + JSON.stringify(res));
-  }
+  const report = helper.agencyWrite([[data, prec]], ["failover of shard group " + leaderCid + " index " + shardIndex]);
+  return helper.agencyWriteStatus(report);
 };
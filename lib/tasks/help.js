@@ -53,6 +53,10 @@ exports.run = function (extra, args) {
     // task specific usage
     print("Usage for task: " + taskName + "\n");
     helper.printUsage(tasks[taskName]);
+
+    if (tasks[taskName].printInfo) {
+      tasks[taskName].printInfo();
+    }
   }
   print();
 };
@@ -13,7 +13,8 @@ exports.description = "Gets agency-history from a coordinator.";
 exports.selfTests = ["arango", "db", "coordinatorConnection"];
 exports.requires = "3.4.6 - 3.7.99";
 exports.info = `
-Gets agency-history from a coordinator.
+Gets agency-history from a coordinator. Use the task "analyze-history" to
+show it as a timeline.
 `;
 
 exports.run = function (extra, args) {
@@ -27,6 +28,9 @@ exports.run = function (extra, args) {
     fs.write(file, JSON.stringify(history));
     helper.printGood("wrote agency history to: " + file);
   } catch (ex) {
+    if (ex instanceof helper.FatalError) {
+      throw ex;
+    }
     helper.fatal("error while getting agency history: " + ex);
   }
 };
@@ -14,6 +14,7 @@ exports.args_arangosh = "| --server.endpoint LEADER-AGENT";
 exports.description = "Posts an agency dump to an ArangoDB agency leader.";
 exports.selfTests = ["arango", "db"];
 exports.requires = "3.3.23 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 This task takes an agency dump file, modifies it to fit to the new server and post it.
 
@@ -68,12 +69,10 @@ exports.run = function (extra, args) {
   let data = {};
   data['/arango/Plan'] = newAgencyPlan;
 
-  print("Trying to post agency plan to agency.");
-  let res = helper.httpWrapper('POST', '/_api/agency/write', [[data, pre]]);
+  // replacing the whole plan, the cluster id has to be typed in
+  helper.confirmAgencyWrite([[data, pre]], x.arango.Cluster);
 
-  if (res.results[0] === 0) {
-    print("WARNING: pre-condition failed, maybe cleanup already done");
-  } else {
-    print("INFO: " + JSON.stringify(res));
-  }
+  print("Trying to post agency plan to agency.");
+  const report = helper.agencyWrite([[data, pre]], ["agency plan"]);
+  return helper.agencyWriteStatus(report);
 };
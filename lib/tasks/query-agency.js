@@ -0,0 +1,261 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+exports.name = "query-agency";
+exports.group = "analyze tasks";
+exports.args = [
+  {
+    name: "path",
+    optional: true,
+    type: "string",
+    description: "agency path, may contain the wildcards * and ?"
+  },
+  {
+    name: "agency-dump",
+    optional: true,
+    type: "jsonfile",
+    description: "agency dump (default: read from the agency)"
+  },
+  {
+    name: "interactive",
+    optional: true,
+    type: "boolean",
+    default: false,
+    description: "browse the agency with ls, cd and cat"
+  }
+];
+exports.args_arangosh = "| --server.endpoint AGENT-OR-COORDINATOR";
+exports.description = "Prints the values of the agency matching a path.";
+exports.selfTests = ["arango", "db"];
+exports.requires = "3.3.23 - 3.11.99";
+exports.info = `
+Prints all keys of the agency matching a path together with their values,
+e.g.:
+
+    ./maintenance.sh query-agency 'arango/Current/Collections/*/*/s123*/servers' agency-dump.json
+
+The wildcard * matches any part of a key, ? a single character. Collection
+ids and server ids in the matches are resolved to the collection names and
+the short names of the servers.
+
+With --interactive the agency is browsed like a file system:
+
+    ls [PATH]     lists the keys below PATH
+    cd PATH       changes the current path, ".." goes up
+    cat [PATH]    prints the value of PATH, wildcards are allowed
+    pwd           prints the current path
+    exit          ends the session
+`;
+
+const _ = require('lodash');
+
+const splitPath = (path) => path.split('/').filter((part) => part !== '' && part !== '.');
+
+const joinPath = (parts) => '/' + parts.join('/');
+
+const segmentPattern = (segment) => {
+  const escaped = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+};
+
+const isNode = (value) => value !== null && typeof value === 'object';
+
+// all [path, value] below `tree` matching the path segments
+const findMatches = (tree, segments) => {
+  const matches = [];
+
+  const walk = (value, i, path) => {
+    if (i === segments.length) {
+      matches.push({ path: joinPath(path), value });
+      return;
+    }
+    if (!isNode(value)) {
+      return;
+    }
+
+    const segment = segments[i];
+
+    if (!/[*?]/.test(segment)) {
+      if (_.has(value, segment)) {
+        walk(value[segment], i + 1, path.concat([segment]));
+      }
+      return;
+    }
+
+    const pattern = segmentPattern(segment);
+    _.each(value, (child, key) => {
+      if (pattern.test(String(key))) {
+        walk(child, i + 1, path.concat([String(key)]));
+      }
+    });
+  };
+
+  walk(tree, 0, []);
+  return matches;
+};
+
+// collection id => name and server id => short name
+const createNames = (tree) => {
+  const helper = require('../helper.js');
+  const names = {};
+
+  _.each(_.get(tree, ['arango', 'Plan', 'Collections'], {}), (collections) => {
+    _.each(collections, (collection, cid) => {
+      if (collection && collection.name) {
+        names[cid] = collection.name;
+      }
+    });
+  });
+
+  if (_.has(tree, ['arango', 'Supervision', 'Health'])) {
+    _.each(tree.arango.Supervision.Health, (server, id) => {
+      const shortName = helper.findServer(tree, id).shortName;
+      if (shortName) {
+        names[id] = shortName;
+      }
+    });
+  }
+
+  return names;
+};
+
+// "1015 = orders, PRMR-00000001 = DBServer0001" for the ids in path and value
+const describeNames = (names, path, value) => {
+  const tokens = splitPath(path);
+
+  if (typeof value === 'string') {
+    tokens.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach((v) => {
+      if (typeof v === 'string') {
+        tokens.push(v);
+      }
+    });
+  }
+
+  return _.uniq(tokens).filter((t) => _.has(names, t)).map((t) => t + " = " + names[t]).join(", ");
+};
+
+exports.run = function (extra, args) {
+  // imports
+  const helper = require('../helper.js');
+
+  const path = helper.getValue("path", args);
+  const interactive = helper.getValue("interactive", args);
+  const file = helper.getValue("agency-dump", args);
+
+  if (path === undefined && !interactive) {
+    helper.fatal("Give a path to query or use --interactive");
+  }
+
+  // reads the agency below the longest path without wildcards
+  const readTree = (query) => {
+    if (file !== undefined) {
+      return helper.getAgencyDumpFromObjectOrAgency(file)[0];
+    }
+
+    const prefix = _.takeWhile(splitPath(query), (part) => !/[*?]/.test(part));
+    helper.switchToAgencyLeader();
+    helper.checkLeader();
+    return helper.httpWrapper('POST', '/_api/agency/read', [[joinPath(prefix)]])[0];
+  };
+
+  const printMatches = (tree, names, query) => {
+    const matches = findMatches(tree, splitPath(query));
+
+    _.each(matches, (match) => {
+      // lists of servers stay on one line
+      const flat = !isNode(match.value) || (Array.isArray(match.value) && !match.value.some(isNode));
+      print(match.path + " = " + JSON.stringify(match.value, null, flat ? undefined : 2));
+
+      const described = describeNames(names, match.path, match.value);
+      if (described !== "") {
+        print("  # " + described);
+      }
+    });
+
+    return matches;
+  };
+
+  if (!interactive) {
+    const tree = readTree(path);
+    // the tree read from the agency may not contain the names
+    const names = createNames(file !== undefined ? tree : helper.httpWrapper('POST', '/_api/agency/read',
+      [["/arango/Plan/Collections", "/arango/Supervision/Health"]])[0]);
+
+    const matches = printMatches(tree, names, path);
+    print("INFO: " + matches.length + " matching key(s)");
+    helper.addResult("matches", matches);
+
+    return helper.exitCodes.HEALTHY;
+  }
+
+  const tree = readTree("/");
+  const names = createNames(tree);
+  let cwd = path !== undefined ? splitPath(path) : [];
+
+  const resolve = (arg) => {
+    const parts = (arg === undefined) ? [] : arg.split('/').filter((p) => p !== '' && p !== '.');
+    let result = (arg !== undefined && arg.startsWith('/')) ? [] : cwd.slice();
+
+    parts.forEach((part) => {
+      result = (part === '..') ? result.slice(0, -1) : result.concat([part]);
+    });
+
+    return result;
+  };
+
+  const commands = {
+    ls: (arg) => {
+      const target = resolve(arg);
+      const value = target.length === 0 ? tree : _.get(tree, target);
+
+      if (!isNode(value)) {
+        print("not a directory: " + joinPath(target));
+        return;
+      }
+
+      _.each(value, (child, key) => {
+        const name = _.has(names, key) ? key + " (" + names[key] + ")" : key;
+        print(isNode(child) ? "  " + name + "/" : "  " + name + " = " + JSON.stringify(child));
+      });
+    },
+    cd: (arg) => {
+      const target = resolve(arg || '/');
+      if (target.length > 0 && !isNode(_.get(tree, target))) {
+        print("not a directory: " + joinPath(target));
+        return;
+      }
+      cwd = target;
+    },
+    cat: (arg) => {
+      const query = joinPath(resolve(arg));
+      if (printMatches(tree, names, query).length === 0) {
+        print("not found: " + query);
+      }
+    },
+    pwd: () => print(joinPath(cwd))
+  };
+
+  for (;;) {
+    print("agency:" + joinPath(cwd) + "> ");
+    const line = helper.readLine("the interactive mode needs a terminal");
+
+    if (line === undefined || line === null) {
+      break;
+    }
+
+    const [command, arg] = line.trim().split(/\s+/);
+
+    if (command === "exit" || command === "quit") {
+      break;
+    } else if (command === "") {
+      continue;
+    } else if (_.has(commands, command)) {
+      commands[command](arg);
+    } else {
+      print("unknown command '" + command + "', use ls, cd, cat, pwd or exit");
+    }
+  }
+
+  return helper.exitCodes.HEALTHY;
+};
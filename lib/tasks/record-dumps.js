@@ -0,0 +1,209 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print, arango */
+exports.name = "record-dumps";
+exports.group = "standalone tasks";
+exports.args = [
+  {
+    name: "output-dir",
+    optional: true,
+    type: "string",
+    default: "agency-dumps",
+    description: "directory for the dumps"
+  },
+  {
+    name: "interval",
+    optional: true,
+    type: "int",
+    default: 60,
+    description: "seconds between two dumps"
+  },
+  {
+    name: "count",
+    optional: true,
+    type: "int",
+    default: 0,
+    description: "number of dumps to take, 0 records until interrupted"
+  },
+  {
+    name: "keep",
+    optional: true,
+    type: "int",
+    default: 100,
+    description: "maximal number of dumps kept in the directory, 0 keeps all"
+  },
+  {
+    name: "max-age",
+    optional: true,
+    type: "int",
+    default: 24,
+    description: "hours after which a dump is removed, 0 keeps all"
+  }
+];
+exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
+exports.description = "Takes agency dumps at a fixed interval.";
+exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
+exports.requires = "3.3.23 - 3.11.99";
+exports.info = `
+Takes a dump of the agency every --interval seconds and writes it gzip
+compressed to "agency-dump-<timestamp>.json.gz" in --output-dir. Older
+dumps are removed once there are more than --keep of them or they are older
+than --max-age hours. The dumps can be read by all tasks taking an agency
+dump, e.g. diff-dumps.
+
+The recorder follows the agency leader. If no leader can be reached, the
+other agents of the agency are tried; if none answers, the gap is reported
+and the next dump is attempted after the interval. Every attempt is logged
+to "recording.jsonl" in the directory. The recording stops with an error if
+a dump cannot be written or old dumps cannot be removed.
+
+Stop the recording with Ctrl-C or use --count to take a fixed number of
+dumps.
+`;
+
+const _ = require('lodash');
+
+const filePattern = /^agency-dump-(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json\.gz$/;
+
+const dumpFileName = (time) => {
+  return "agency-dump-" + time.toISOString().replace(/[:.]/g, '-') + ".json.gz";
+};
+
+// time encoded in the name of a dump file
+const dumpFileTime = (name) => {
+  const match = name.match(filePattern);
+  return Date.parse(match[1] + ":" + match[2] + ":" + match[3] + "." + match[4] + "Z");
+};
+
+// removes the dumps exceeding `keep` or older than `maxAge` hours
+const applyRetention = (dir, keep, maxAge, now) => {
+  const fs = require('fs');
+  const files = fs.list(dir).filter((name) => filePattern.test(name)).sort();
+  const expired = maxAge > 0 ? files.filter((name) => now - dumpFileTime(name) > maxAge * 3600 * 1000) : [];
+  const surplus = keep > 0 ? files.slice(0, Math.max(0, files.length - keep)) : [];
+  const removed = _.union(expired, surplus);
+
+  removed.forEach((name) => fs.remove(fs.join(dir, name)));
+  return removed;
+};
+
+exports.run = function (extra, args) {
+  // imports
+  const fs = require('fs');
+  const internal = require('internal');
+  const helper = require('../helper.js');
+
+  const dir = helper.getValue("output-dir", args);
+  const interval = helper.getValue("interval", args);
+  const count = helper.getValue("count", args);
+  const keep = helper.getValue("keep", args);
+  const maxAge = helper.getValue("max-age", args);
+
+  if (interval <= 0) {
+    helper.fatal("Argument 'interval' must be positive, got " + interval);
+  }
+
+  if (!fs.isDirectory(dir)) {
+    fs.makeDirectoryRecursive(dir);
+  }
+
+  const logFile = fs.join(dir, "recording.jsonl");
+  let pool = [];
+  let leader;
+  let written = 0;
+  let gaps = 0;
+
+  const log = (entry) => {
+    fs.append(logFile, JSON.stringify(entry) + "\n");
+  };
+
+  // returns the dump, throws if no leader is reachable from the current connection
+  const takeDump = () => {
+    return helper.runQuietly(() => {
+      const dump = helper.getAgencyDumpFromObjectOrAgency()[0];
+
+      try {
+        const config = helper.getAgencyConfiguration();
+        pool = _.values(_.get(config, ['configuration', 'pool'], {}));
+      } catch (ignore) {
+        // keep the agents known so far
+      }
+
+      return dump;
+    });
+  };
+
+  // tries the current connection first, then the other agents
+  const takeDumpFromAnyAgent = () => {
+    let error;
+
+    try {
+      return takeDump();
+    } catch (err) {
+      error = err;
+    }
+
+    for (const endpoint of _.without(pool, arango.getEndpoint())) {
+      try {
+        arango.reconnect(endpoint, "_system");
+        return takeDump();
+      } catch (err) {
+        error = err;
+      }
+    }
+
+    throw error;
+  };
+
+  for (let i = 1; count === 0 || i <= count; ++i) {
+    const time = new Date();
+
+    let dump;
+
+    try {
+      dump = takeDumpFromAnyAgent();
+    } catch (err) {
+      ++gaps;
+      const message = (err instanceof helper.FatalError) ? err.message : String(err);
+      print("WARNING: " + time.toISOString() + " no agency leader reachable, gap in the recording: " + message);
+      log({ timestamp: time.toISOString(), gap: true, error: message });
+    }
+
+    // failing to write or to remove dumps is not a gap, it ends the recording
+    if (dump !== undefined) {
+      const file = fs.join(dir, dumpFileName(time));
+      const endpoint = arango.getEndpoint();
+      let removed;
+
+      try {
+        fs.writeGzip(file, JSON.stringify([ dump ]));
+      } catch (err) {
+        helper.fatal("cannot write dump '" + file + "': " + err);
+      }
+      ++written;
+
+      if (leader !== undefined && leader !== endpoint) {
+        print("INFO: " + time.toISOString() + " agency leader changed from " + leader + " to " + endpoint);
+      }
+      leader = endpoint;
+
+      try {
+        removed = applyRetention(dir, keep, maxAge, time.getTime());
+      } catch (err) {
+        helper.fatal("cannot remove old dumps from '" + dir + "': " + err);
+      }
+      print("INFO: " + time.toISOString() + " wrote " + file +
+            (removed.length > 0 ? ", removed " + removed.length + " old dump(s)" : ""));
+      log({ timestamp: time.toISOString(), file, endpoint, removed });
+    }
+
+    if (count === 0 || i < count) {
+      internal.wait(interval);
+    }
+  }
+
+  print("INFO: wrote " + written + " dump(s) to '" + fs.makeAbsolute(dir) + "', " + gaps + " gap(s)");
+  helper.addResult("dumps", written);
+  helper.addResult("gaps", gaps);
+
+  return gaps > 0 ? helper.exitCodes.ISSUES : helper.exitCodes.HEALTHY;
+};
@@ -0,0 +1,66 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+exports.name = "release-stale-locks";
+exports.group = "cleanup tasks";
+exports.args = [
+  {
+    name: "orphaned-locks-file",
+    optional: false,
+    type: "jsonfile",
+    description: "json file created by analyze task"
+  }
+];
+exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
+exports.description = "Releases orphaned supervision locks found by analyze task.";
+exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
+exports.requires = "3.3.23 - 3.11.99";
+exports.destructive = true;
+exports.info = `
+Deletes the locks in Supervision/Shards and Supervision/DBServers listed by
+the analyze task, whose jobs are no longer in Target/Pending.
+
+Each lock is released in its own transaction, which is skipped if the lock
+has changed since the analysis or its job is running again.
+`;
+
+exports.run = function (extra, args) {
+  // imports
+  const _ = require('lodash');
+  const helper = require('../helper.js');
+
+  const locks = helper.getValue("orphaned-locks-file", args);
+  const trxs = [];
+  let corrupted = 0;
+
+  _.each(locks, function (lock) {
+    if (!/^arango\/Supervision\/(Shards|DBServers)\/[^/]+$/.test(lock.key) || lock.jobId === undefined) {
+      print("ERROR: corrupted entry in orphaned locks file: " + JSON.stringify(lock));
+      ++corrupted;
+      return;
+    }
+
+    const oper = {};
+    const prec = {};
+
+    oper[lock.key] = { op: "delete" };
+    prec[lock.key] = { old: lock.value };
+    prec["arango/Target/Pending/" + lock.jobId] = { oldEmpty: true };
+
+    trxs.push({ trx: [oper, prec], description: "lock of " + lock.name + " held by job " + lock.jobId });
+  });
+
+  if (trxs.length === 0) {
+    if (corrupted > 0) {
+      print("ERROR: no lock released, " + corrupted + " corrupted entries");
+      return helper.exitCodes.ERROR;
+    }
+    helper.printGood("No lock to release");
+    return helper.exitCodes.HEALTHY;
+  }
+
+  helper.confirmAgencyWrite(trxs.map(x => x.trx));
+  helper.saveRollbackFile(exports.name, trxs.map(x => x.trx));
+
+  const report = helper.agencyWrite(trxs.map(x => x.trx), trxs.map(x => x.description));
+  return helper.agencyWriteStatus(report, corrupted);
+};
@@ -0,0 +1,289 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print, arango */
+exports.name = "remediate";
+exports.group = "cleanup tasks";
+exports.args = [
+  {
+    name: "analyze-dir",
+    optional: false,
+    type: "string",
+    description: "output directory of the analyze task, or its manifest.json"
+  },
+  {
+    name: "verify",
+    optional: true,
+    type: "boolean",
+    default: true,
+    description: "re-run the analysis after each step to verify the fix"
+  }
+];
+exports.args_arangosh = "| --server.endpoint AGENT-OR-COORDINATOR";
+exports.description = "Runs the cleanup tasks for the issues found by the analyze task.";
+exports.selfTests = ["arango", "db"];
+exports.requires = "3.3.23 - 3.11.99";
+exports.destructive = true;
+exports.info = `
+Reads the manifest.json written by the analyze task and runs the follow-up
+task for each issue, in a fixed order and against the role the task needs
+(leader agent or coordinator). The connection is switched as necessary.
+
+Each step shows its changes and must be confirmed, any other answer than
+'yes' skips the step. After a step the check which reported the issue is
+repeated (written to "verify-<step>" below the analyze directory) to see
+that the issue is gone. The remaining steps are
+not run if a step fails.
+
+Issues which need further input, like the choice of a new leader, are only
+listed and must be handled manually. The type of repair-sharding-strategy is
+taken from the license of the cluster.
+`;
+
+// issues in the order they are fixed, issues not listed here come last
+const stepOrder = [
+  "stuck-jobs",
+  "orphaned-locks",
+  "zombie-coordinators",
+  "zombie-callbacks",
+  "cleaned-failover-candidates",
+  "unplanned-failover-candidates",
+  "shard-server-lists",
+  "dead-primaries",
+  "zombies",
+  "building-collections",
+  "zombie-analyzer-revisions",
+  "sharding-strategy",
+  "skeleton-databases",
+  "missing-system-collections",
+  "broken-edge-indexes",
+  "replication-factor",
+  "shard-imbalance"
+];
+
+// further arguments of follow-up tasks, which can be determined automatically
+const stepArguments = {
+  "repair-sharding-strategy": () => {
+    const license = arango.GET("/_admin/version").license;
+    return ["--type=" + (license === "community" ? "community" : "enterprise")];
+  }
+};
+
+exports.run = function (extra, args, options) {
+  // imports
+  const fs = require('fs');
+  const _ = require('lodash');
+  const AsciiTable = require('../3rdParty/ascii-table');
+  const helper = require('../helper.js');
+
+  const dir = helper.getValue("analyze-dir", args).replace(/[\/\\]?manifest\.json$/, '') || ".";
+  const verifyFix = helper.getValue("verify", args);
+  const manifest = helper.readJsonFile(fs.join(dir, "manifest.json"), true);
+
+  if (!manifest || !Array.isArray(manifest.files)) {
+    helper.fatal("'" + fs.join(dir, "manifest.json") + "' is not a manifest written by the analyze task");
+  }
+
+  const analyze = extra.tasks["analyze"];
+
+  if (verifyFix && analyze === undefined) {
+    helper.fatal("Cannot verify the fixes, the analyze task is not available");
+  }
+
+  // split the files into steps we can run and issues to handle manually
+  const steps = [];
+  const manual = [];
+
+  manifest.files.forEach(function (entry) {
+    const task = extra.tasks[entry.task];
+    let reason;
+
+    if (entry.task === undefined) {
+      reason = "no follow-up task";
+    } else if (task === undefined) {
+      reason = "task '" + entry.task + "' is not available";
+    } else if (task.args.filter((x) => x.optional !== true).length !== 1 &&
+               !stepArguments.hasOwnProperty(entry.task)) {
+      reason = "needs further arguments";
+    } else if (entry.role !== "LEADER-AGENT" && entry.role !== "COORDINATOR") {
+      reason = "unknown role '" + entry.role + "'";
+    }
+
+    if (reason === undefined) {
+      steps.push({ entry, task, file: fs.join(dir, entry.file) });
+    } else {
+      manual.push({ entry, reason });
+    }
+  });
+
+  const position = (step) => {
+    const pos = stepOrder.indexOf(step.entry.issue);
+    return pos === -1 ? stepOrder.length : pos;
+  };
+
+  const ordered = _.sortBy(steps, position);
+
+  if (manual.length > 0) {
+    const table = new AsciiTable('Issues to handle manually');
+    table.setHeading('Issue', 'File', 'Reason');
+    manual.forEach((m) => table.addRow(m.entry.issue, m.entry.file, m.reason));
+    helper.printTable(table);
+    print();
+  }
+
+  if (ordered.length === 0) {
+    print("INFO: nothing to remediate in '" + dir + "'");
+    return manual.length > 0 ? helper.exitCodes.ISSUES : helper.exitCodes.HEALTHY;
+  }
+
+  const plan = new AsciiTable('Remediation plan');
+  plan.setHeading('#', 'Issue', 'Task', 'Role', 'File');
+  ordered.forEach((step, i) => plan.addRow(i + 1, step.entry.issue, step.task.name, step.entry.role, step.entry.file));
+  helper.printTable(plan);
+
+  const switchRole = (role) => {
+    if (role === "LEADER-AGENT") {
+      helper.switchToAgencyLeader();
+      helper.checkLeader();
+    } else {
+      helper.switchToCoordinator();
+    }
+  };
+
+  // repeats the analysis into `name` below the analyze directory, only with
+  // the check which reported the issue of the step (all checks for manifests
+  // without it), returns the issues reported or undefined if it failed
+  const reanalyze = (step, name) => {
+    const endpoint = arango.getEndpoint();
+    const analyzeArgs = [analyze.name, "--output-dir=" + fs.join(dir, name)];
+
+    if (step.entry.check !== undefined) {
+      analyzeArgs.push("--checks=" + step.entry.check);
+    }
+
+    try {
+      helper.runQuietly(() => analyze.run(extra, helper.checkArgs(analyze, analyzeArgs), options));
+    } catch (err) {
+      if (!(err instanceof helper.FatalError)) {
+        throw err;
+      }
+      print("WARNING: cannot repeat the analysis: " + err.message);
+      return undefined;
+    } finally {
+      // the analysis may connect to other servers
+      if (arango.getEndpoint() !== endpoint) {
+        arango.reconnect(endpoint, "_system");
+      }
+    }
+
+    return helper.getOutputManifest().files.map((f) => f.issue);
+  };
+
+  // checks whether the issue is still reported after the step
+  const verify = (step, pos) => {
+    const reported = reanalyze(step, "verify-" + pos);
+
+    if (reported === undefined) {
+      return "unverified";
+    }
+
+    if (reported.indexOf(step.entry.issue) !== -1) {
+      helper.printBad("Issue '" + step.entry.issue + "' is still reported after " + step.task.name);
+      return "still present";
+    }
+
+    helper.printGood("Issue '" + step.entry.issue + "' is fixed");
+    return "fixed";
+  };
+
+  const results = [];
+  let failed = false;
+  let changed = false;
+
+  ordered.forEach(function (step, i) {
+    const result = { issue: step.entry.issue, task: step.task.name, role: step.entry.role };
+    results.push(result);
+
+    if (failed) {
+      result.status = "not run";
+      return;
+    }
+
+    // an earlier step may have fixed this issue as well
+    if (changed && verifyFix) {
+      const reported = reanalyze(step, "recheck-" + (i + 1));
+
+      if (reported !== undefined && reported.indexOf(step.entry.issue) === -1) {
+        print();
+        print("INFO: issue '" + step.entry.issue + "' is no longer reported, skipping " + step.task.name);
+        result.status = "fixed";
+        return;
+      }
+    }
+
+    print();
+    print("Step " + (i + 1) + "/" + ordered.length + ": " + step.task.name + " " + step.file +
+          " against the " + step.entry.role);
+
+    helper.setConfirmation(step.task.destructive, options.yes);
+
+    // destructive tasks show their changes before they ask themselves
+    if (!step.task.destructive &&
+        !helper.askConfirmation("Type 'yes' to run this step, anything else skips it:")) {
+      print("INFO: skipping " + step.task.name);
+      result.status = "skipped";
+      return;
+    }
+
+    try {
+      switchRole(step.entry.role);
+
+      const more = stepArguments.hasOwnProperty(step.task.name) ? stepArguments[step.task.name]() : [];
+      const stepArgs = helper.checkArgs(step.task, [step.task.name, step.file].concat(more));
+      helper.setTaskContext(step.task.name, stepArgs);
+
+      const status = step.task.run(extra, stepArgs, options) || helper.exitCodes.HEALTHY;
+
+      if (status !== helper.exitCodes.HEALTHY) {
+        print("ERROR: " + step.task.name + " finished with status " + helper.exitStatusName(status));
+        result.status = "failed";
+      }
+    } catch (err) {
+      if (!(err instanceof helper.FatalError)) {
+        throw err;
+      }
+      result.status = (err instanceof helper.NotConfirmedError) ? "skipped" : "failed";
+    } finally {
+      helper.setTaskContext(exports.name, args);
+    }
+
+    if (result.status === "skipped") {
+      print("INFO: skipping " + step.task.name);
+      return;
+    }
+
+    if (result.status === "failed") {
+      failed = true;
+    } else if (helper.isDryRun()) {
+      result.status = "dry-run";
+    } else {
+      changed = true;
+      result.status = verifyFix ? verify(step, i + 1) : "done";
+    }
+  });
+
+  print();
+  const table = new AsciiTable('Remediation result');
+  table.setHeading('#', 'Issue', 'Task', 'Role', 'Result');
+  results.forEach((r, i) => table.addRow(i + 1, r.issue, r.task, r.role, r.status));
+  helper.printTable(table);
+  helper.addResult("steps", results);
+
+  if (results.some((r) => r.status === "failed" || r.status === "still present")) {
+    return helper.exitCodes.PARTIAL_FAILURE;
+  }
+
+  if (manual.length > 0 || results.some((r) => r.status === "skipped" || r.status === "unverified")) {
+    return helper.exitCodes.ISSUES;
+  }
+
+  return helper.exitCodes.HEALTHY;
+};
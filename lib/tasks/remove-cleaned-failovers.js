@@ -14,6 +14,7 @@ exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Clears cleaned failover candidates found by analyze task.";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
 exports.requires = "3.3.23 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 Removes cleaned failover candidates found by the analyze task.
 `;
@@ -25,19 +26,18 @@ exports.run = function (extra, args) {
   let shards = helper.getValue("cleaned-failovers-file", args);
 
   var trx = [];
+  var labels = [];
   Object.keys(shards).forEach(function (shard) {
     var oper = {};
     var prec = {};
     oper[shard] = shards[shard][0];
     prec[shard] = {old: shards[shard][1]};
     trx.push([oper, prec]);
+    labels.push(shard);
   });
 
-  let res = helper.httpWrapper('POST', '/_api/agency/write', trx);
-  if (res.results[0] === 0) {
-    print("WARNING: pre-condition failed, maybe cleanup already done");
-  } else {
-    print("INFO: " + JSON.stringify(res));
-  }
+  helper.confirmAgencyWrite(trx);
 
+  const report = helper.agencyWrite(trx, labels);
+  return helper.agencyWriteStatus(report);
 };
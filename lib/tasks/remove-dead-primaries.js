@@ -14,6 +14,7 @@ exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Removes dead primaries found by analyze task.";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
 exports.requires = "3.3.23 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 Removes dead primaries found by the analyze task.
 `;
@@ -24,11 +25,10 @@ exports.run = function (extra, args) {
   const _ = require('underscore');
   const helper = require('../helper.js');
   let zombies = helper.getValue("dead-primaries-file", args);
+  let trxs = [];
 
   _.each(zombies, function (zombie) {
     if (zombie.database.length > 0 && zombie.primary.length > 0) {
-      print("removing dead primary: " + zombie.database + "/" + zombie.primary);
-
       let data = {};
       data['/arango/Current/Databases/' + zombie.database + '/' + zombie.primary] = {
         'op': 'delete'
@@ -39,15 +39,16 @@ exports.run = function (extra, args) {
         'old': zombie.data
       };
 
-      let res = helper.httpWrapper('POST', '/_api/agency/write', [[data, pre]]);
-
-      if (res.results[0] === 0) {
-        print("WARNING: pre-condition failed, maybe cleanup already done");
-      } else {
-        print("INFO: " + JSON.stringify(res));
-      }
+      trxs.push({ zombie, trx: [data, pre] });
     } else {
       print("ERROR: corrupted entry in zombie file: " + JSON.stringify(zombie));
     }
   });
+
+  helper.confirmAgencyWrite(trxs.map(x => x.trx));
+  helper.saveRollbackFile(exports.name, trxs.map(x => x.trx));
+
+  const report = helper.agencyWrite(trxs.map(x => x.trx),
+    trxs.map(x => "dead primary " + x.zombie.database + "/" + x.zombie.primary));
+  return helper.agencyWriteStatus(report);
 };
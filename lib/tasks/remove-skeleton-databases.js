@@ -14,6 +14,7 @@ exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Removes skeleton databases found by analyze task.";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
 exports.requires = "3.3.23 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 Removes skeleton databases.
 `;
@@ -25,11 +26,10 @@ exports.run = function (extra, args) {
   const helper = require('../helper.js');
 
   let skeletons = helper.getValue("remove-skeleton-database-file", args);
+  let trxs = [];
 
   _.each(skeletons, function (skeleton) {
     if (skeleton.database.length > 0) {
-      print("removing skeleton database: " + skeleton.database);
-
       let data = {};
       data['/arango/Plan/Databases/' + skeleton.database] = {
         'op': 'delete'
@@ -44,17 +44,16 @@ exports.run = function (extra, args) {
         'old': skeleton.data
       };
 
-      print(JSON.stringify([[data, pre]]));
-
-      let res = helper.httpWrapper('POST', '/_api/agency/write', [[data, pre]]);
-
-      if (res.results[0] === 0) {
-        print("WARNING: pre-condition failed, maybe cleanup already done");
-      } else {
-        print("INFO: " + JSON.stringify(res));
-      }
+      trxs.push({ skeleton, trx: [data, pre] });
     } else {
       print("ERROR: corrupted entry in skeleton file: " + JSON.stringify(skeleton));
     }
   });
+
+  helper.confirmAgencyWrite(trxs.map(x => x.trx));
+  helper.saveRollbackFile(exports.name, trxs.map(x => x.trx));
+
+  const report = helper.agencyWrite(trxs.map(x => x.trx),
+    trxs.map(x => "skeleton database " + x.skeleton.database));
+  return helper.agencyWriteStatus(report);
 };
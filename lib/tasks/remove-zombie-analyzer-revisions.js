@@ -14,6 +14,7 @@ exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Removes dead analyzer revisions found by analyze task.";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
 exports.requires = "3.7.0 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 Removes dead analyzer revisions found by the analyze task.
 `;
@@ -28,11 +29,8 @@ exports.run = function (extra, args) {
     trx['/arango/Plan/Analyzers/' + zombie] = {op: 'delete'};
   });
 
-  const res = helper.httpWrapper('POST', '/_api/agency/write', [[trx]]);
-  if (res.results[0] === 0) {
-    print("WARNING: pre-condition failed, maybe cleanup already done");
-  } else {
-    print("INFO: " + JSON.stringify(res));
-  }
+  helper.confirmAgencyWrite([[trx]]);
 
+  const report = helper.agencyWrite([[trx]], ["zombie analyzer revisions " + zombies.join(", ")]);
+  return helper.agencyWriteStatus(report);
 };
@@ -14,6 +14,7 @@ exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Removes zombie callbacks found by analyze task.";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
 exports.requires = "3.3.23 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 Removes zombies callbacks found by the analyze task.
 `;
@@ -23,19 +24,17 @@ exports.run = function (extra, args) {
   const helper = require('../helper.js');
   let zombies = helper.getValue("zombie-callback-file", args);
   let data = [];
+  let labels = [];
 
   Array.prototype.forEach.call(zombies, zombie => {
     let trx = {};
     trx[Object.values(zombie)[0]] = {"op": "unobserve", "url": Object.keys(zombie)[0]};
     data.push([trx]);
+    labels.push("callback " + Object.keys(zombie)[0] + " on " + Object.values(zombie)[0]);
   });
 
-  let res = helper.httpWrapper('POST', '/_api/agency/write', data);
-
-  if (res.results[0] === 0) {
-    print("WARNING: pre-condition failed, maybe cleanup already done");
-  } else {
-    print("INFO: " + JSON.stringify(res));
-  }
+  helper.confirmAgencyWrite(data);
 
+  const report = helper.agencyWrite(data, labels);
+  return helper.agencyWriteStatus(report);
 };
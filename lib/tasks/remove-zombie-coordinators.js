@@ -14,6 +14,7 @@ exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Removes dead coordinators found by analyze task.";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
 exports.requires = "3.3.23 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 Removes dead coordinators found by the analyze task.
 `;
@@ -29,11 +30,8 @@ exports.run = function (extra, args) {
     trx['/arango/Current/Coordinators/' + zombie] = {'op': 'delete'};
   });
 
-  let res = helper.httpWrapper('POST', '/_api/agency/write', [[trx]]);
-  if (res.results[0] === 0) {
-    print("WARNING: pre-condition failed, maybe cleanup already done");
-  } else {
-    print("INFO: " + JSON.stringify(res));
-  }
+  helper.confirmAgencyWrite([[trx]]);
 
+  const report = helper.agencyWrite([[trx]], ["zombie coordinators " + zombies.join(", ")]);
+  return helper.agencyWriteStatus(report);
 };
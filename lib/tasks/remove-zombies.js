@@ -13,7 +13,8 @@ exports.args = [
 exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Removes zombie collections found by analyze task.";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
-exports.requires = "3.3.23 - 3.7.99";
+exports.requires = "3.3.23 - 3.11.99";
+exports.destructive = true;
 exports.info = `
 Removes zombies found by the analyze task.
 `;
@@ -23,11 +24,10 @@ exports.run = function (extra, args) {
   const _ = require('underscore');
   const helper = require('../helper.js');
   let zombies = helper.getValue("zombie-file", args);
+  let trxs = [];
 
   _.each(zombies, function (zombie) {
     if (zombie.database.length > 0 && zombie.cid.length > 0) {
-      print("removing zombie collection: " + zombie.database + "/" + zombie.cid);
-
       let data = {};
       data['/arango/Plan/Collections/' + zombie.database + '/' + zombie.cid] = {
         'op': 'delete'
@@ -38,15 +38,16 @@ exports.run = function (extra, args) {
         'old': zombie.data
       };
 
-      let res = helper.httpWrapper('POST', '/_api/agency/write', [[data, pre]]);
-
-      if (res.results[0] === 0) {
-        print("WARNING: pre-condition failed, maybe cleanup already done");
-      } else {
-        print("INFO: " + JSON.stringify(res));
-      }
+      trxs.push({ zombie, trx: [data, pre] });
     } else {
       print("ERROR: corrupted entry in zombie file: " + JSON.stringify(zombie));
     }
   });
+
+  helper.confirmAgencyWrite(trxs.map(x => x.trx));
+  helper.saveRollbackFile(exports.name, trxs.map(x => x.trx));
+
+  const report = helper.agencyWrite(trxs.map(x => x.trx),
+    trxs.map(x => "zombie collection " + x.zombie.database + "/" + x.zombie.cid));
+  return helper.agencyWriteStatus(report);
 };
@@ -14,6 +14,7 @@ exports.args_arangosh = " --server.endpoint COORDINATOR";
 exports.description = "Repairs broken edge indexes found by analyze task.";
 exports.selfTests = ["arango", "db", "coordinatorConnection"];
 exports.requires = "3.3.23 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 Repairs broken edge index definition found by analyze task.
 `;
@@ -31,7 +32,7 @@ exports.run = function (extra, args) {
     const index = indexes[pos];
 
     ns[index.path] = {
-      set: "new",
+      op: "set",
       new: index.good
     };
 
@@ -44,11 +45,9 @@ exports.run = function (extra, args) {
 
   const trx = [ns, os];
 
-  const res = helper.httpWrapper('POST', '/_api/agency/write', [trx]);
-  print(res);
-  if (res.results[0] === 0) {
-    print("WARNING: pre-condition failed, maybe cleanup already done");
-  } else {
-    print("INFO: " + JSON.stringify(res));
-  }
+  helper.confirmAgencyWrite([trx]);
+  helper.saveRollbackFile(exports.name, [trx]);
+
+  const report = helper.agencyWrite([trx], ["edge indexes of " + indexes.length + " collection(s)"]);
+  return helper.agencyWriteStatus(report);
 };
@@ -0,0 +1,96 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+exports.name = "repair-building-collections";
+exports.group = "cleanup tasks";
+exports.args = [
+  {
+    name: "building-collections-file",
+    optional: false,
+    type: "jsonfile",
+    description: "json file created by analyze task"
+  }
+];
+exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
+exports.description = "Deletes or completes collections and indexes left with isBuilding found by analyze task.";
+exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
+exports.requires = "3.3.23 - 3.11.99";
+exports.destructive = true;
+exports.info = `
+Repairs the collections and indexes in Plan, whose creation was abandoned
+by a coordinator which failed or restarted. The action is chosen by the
+analyze task and can be changed in the file:
+
+ - delete:  the creation did not finish on all shards, the collection is
+            removed from Plan, or the index from the indexes of the
+            collection
+ - clear:   all shards were created, only the isBuilding flag is removed
+
+Each collection is changed in its own transaction, which is skipped if its
+entry in Plan has changed since the analysis.
+`;
+
+exports.run = function (extra, args) {
+  // imports
+  const _ = require('lodash');
+  const helper = require('../helper.js');
+
+  const entries = helper.getValue("building-collections-file", args);
+  const actions = ["delete", "clear"];
+  const trxs = [];
+  let corrupted = 0;
+
+  _.each(entries, function (entry) {
+    const invalid = entry.isBuilding
+      ? !_.includes(actions, entry.action)
+      : (!Array.isArray(entry.indexes) || !Array.isArray(_.get(entry, ['data', 'indexes'])) ||
+         _.some(entry.indexes, (index) => !_.includes(actions, index.action)));
+
+    if (entry.database === undefined || entry.cid === undefined || entry.data === undefined || invalid) {
+      print("ERROR: corrupted entry in building collections file: " + JSON.stringify(entry));
+      ++corrupted;
+      return;
+    }
+
+    const key = "arango/Plan/Collections/" + entry.database + "/" + entry.cid;
+    const oper = {};
+    const prec = {};
+    let description;
+
+    if (entry.isBuilding && entry.action === "delete") {
+      oper[key] = { op: "delete" };
+      description = "delete collection " + entry.database + "/" + entry.name;
+    } else if (entry.isBuilding) {
+      oper[key] = _.omit(entry.data, 'isBuilding');
+      description = "clear isBuilding of collection " + entry.database + "/" + entry.name;
+    } else {
+      const deleted = entry.indexes.filter((index) => index.action === "delete").map((index) => String(index.id));
+
+      oper[key] = _.extend({}, entry.data, {
+        indexes: entry.data.indexes.filter((index) => !_.includes(deleted, String(index.id)))
+          .map((index) => index.isBuilding ? _.omit(index, 'isBuilding') : index)
+      });
+      description = entry.indexes.map((index) => index.action + " index " + (index.name || index.id)).join(", ") +
+        " of collection " + entry.database + "/" + entry.name;
+    }
+
+    prec[key] = { old: entry.data };
+    oper["arango/Plan/Version"] = { op: "increment" };
+
+    trxs.push({ trx: [oper, prec], description });
+  });
+
+  if (trxs.length === 0) {
+    if (corrupted > 0) {
+      print("ERROR: no collection repaired, " + corrupted + " corrupted entries");
+      return helper.exitCodes.ERROR;
+    }
+    helper.printGood("No collection to repair");
+    return helper.exitCodes.HEALTHY;
+  }
+
+  helper.confirmAgencyWrite(trxs.map(x => x.trx));
+  helper.saveRollbackFile(exports.name, trxs.map(x => x.trx));
+
+  const report = helper.agencyWrite(trxs.map(x => x.trx), trxs.map(x => x.description));
+  return helper.agencyWriteStatus(report, corrupted);
+};
@@ -0,0 +1,150 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+exports.name = "repair-replication-factor";
+exports.group = "cleanup tasks";
+exports.args = [
+  {
+    name: "replication-factor-file",
+    optional: false,
+    type: "jsonfile",
+    description: "json file created by analyze task"
+  },
+  {
+    name: "action",
+    optional: true,
+    type: "string",
+    values: ["lower", "restore"],
+    default: "lower",
+    description: "'lower' to the healthy DBServers or 'restore' the original values"
+  }
+];
+exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
+exports.description = "Lowers or restores replication factors found by analyze task.";
+exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
+exports.requires = "3.3.23 - 3.11.99";
+exports.destructive = true;
+exports.info = `
+Changes the replicationFactor and writeConcern (minReplicationFactor before
+3.6) of the collections listed by the analyze task in Plan.
+
+With --action=lower (the default) the values are lowered to the number of
+healthy DBServers at the time of the analysis, so writes are no longer
+blocked and the supervision stops waiting for followers which cannot be
+placed. With --action=restore the original values are written back, e.g.
+after the failed DBServers were replaced; the supervision then adds the
+missing followers.
+
+Each collection is changed in its own transaction, together with the
+collections sharing its shards by distributeShardsLike. The transaction is
+skipped if the values in Plan have changed since the analysis, and the whole
+group is left alone if one of its collections cannot be changed.
+`;
+
+exports.run = function (extra, args) {
+  // imports
+  const _ = require('lodash');
+  const helper = require('../helper.js');
+
+  const entries = helper.getValue("replication-factor-file", args);
+  const restore = helper.getValue("action", args) === "restore";
+
+  let healthy;
+
+  if (restore) {
+    const info = {};
+    helper.extractPrimaries(info, helper.httpWrapper('POST', '/_api/agency/read', [["/arango/Supervision/Health"]])[0]);
+    healthy = Object.keys(info.primaries).length;
+  }
+
+  const trxs = [];
+  let corrupted = 0;
+
+  // a prototype and its distributeShardsLike followers share their shards,
+  // so they are changed in one transaction or not at all
+  const groups = _.groupBy(entries, (entry) => entry.database + "/" + (entry.distributeShardsLike || entry.cid));
+
+  _.each(groups, function (members) {
+    const oper = {};
+    const prec = {};
+    const descriptions = [];
+    let skipped = false;
+
+    _.each(members, function (entry) {
+      const numbers = [entry.replicationFactor, entry.writeConcern, entry.newReplicationFactor, entry.newWriteConcern];
+
+      if (entry.database === undefined || entry.cid === undefined || entry.name === undefined ||
+          !numbers.every(_.isInteger) || !Array.isArray(entry.attributes)) {
+        print("ERROR: corrupted entry in replication factor file: " + JSON.stringify(entry));
+        ++corrupted;
+        skipped = true;
+        return;
+      }
+
+      const from = restore
+        ? { replicationFactor: entry.newReplicationFactor, writeConcern: entry.newWriteConcern }
+        : { replicationFactor: entry.replicationFactor, writeConcern: entry.writeConcern };
+      const to = restore
+        ? { replicationFactor: entry.replicationFactor, writeConcern: entry.writeConcern }
+        : { replicationFactor: entry.newReplicationFactor, writeConcern: entry.newWriteConcern };
+      const name = entry.database + "/" + entry.name;
+
+      if (_.isEqual(from, to)) {
+        return;
+      }
+
+      const exceeded = restore && ["writeConcern", "replicationFactor"].find((attribute) => to[attribute] > healthy);
+
+      if (exceeded) {
+        print("WARNING: not restoring " + name + ", its " + exceeded + " " + to[exceeded] +
+              " exceeds the " + healthy + " healthy DBServer(s)");
+        skipped = true;
+        return;
+      }
+
+      const path = "arango/Plan/Collections/" + entry.database + "/" + entry.cid + "/";
+
+      oper[path + "replicationFactor"] = to.replicationFactor;
+      prec[path + "replicationFactor"] = { old: from.replicationFactor };
+
+      _.each(entry.attributes, function (attribute) {
+        oper[path + attribute] = to.writeConcern;
+        prec[path + attribute] = { old: from.writeConcern };
+      });
+
+      prec[path + "name"] = { old: entry.name };
+      descriptions.push(name + " replicationFactor " + from.replicationFactor + " -> " + to.replicationFactor +
+        ", writeConcern " + from.writeConcern + " -> " + to.writeConcern);
+    });
+
+    if (skipped) {
+      if (members.length > 1) {
+        print("WARNING: not changing " + members.map((entry) => entry.database + "/" + entry.name).join(", ") +
+              ", they share their shards by distributeShardsLike");
+      }
+      return;
+    }
+
+    if (descriptions.length === 0) {
+      return;
+    }
+
+    oper["arango/Plan/Version"] = { op: "increment" };
+
+    trxs.push({ trx: [oper, prec], description: descriptions.join("; ") });
+  });
+
+  if (trxs.length === 0) {
+    if (corrupted > 0) {
+      print("ERROR: no collection changed, " + corrupted + " corrupted entries");
+      return helper.exitCodes.ERROR;
+    }
+    helper.printGood("Nothing to " + (restore ? "restore" : "lower"));
+    return helper.exitCodes.HEALTHY;
+  }
+
+  helper.confirmAgencyWrite(trxs.map(x => x.trx));
+  helper.saveRollbackFile(exports.name, trxs.map(x => x.trx));
+
+  const report = helper.agencyWrite(trxs.map(x => x.trx), trxs.map(x => x.description));
+  return helper.agencyWriteStatus(report, corrupted);
+};
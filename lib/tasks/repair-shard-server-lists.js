@@ -0,0 +1,92 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+exports.name = "repair-shard-server-lists";
+exports.group = "cleanup tasks";
+exports.args = [
+  {
+    name: "shard-server-lists-file",
+    optional: false,
+    type: "jsonfile",
+    description: "json file created by analyze task"
+  }
+];
+exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
+exports.description = "Removes duplicate and unknown servers from shards found by analyze task.";
+exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
+exports.requires = "3.3.23 - 3.11.99";
+exports.destructive = true;
+exports.info = `
+Removes duplicate servers and servers unknown to Plan/DBServers and
+Supervision/Health from the server lists of shards in Plan, in Current and
+from the failover candidates. The first occurrence of a server is kept, so
+the leader stays in front. An unknown leader is not removed, as this would
+be a failover; use force-failover for these shards.
+
+Each list is changed in its own transaction, which is skipped if the list
+has changed since the analysis.
+`;
+
+exports.run = function (extra, args) {
+  // imports
+  const _ = require('lodash');
+  const helper = require('../helper.js');
+
+  const entries = helper.getValue("shard-server-lists-file", args);
+  const trxs = [];
+  let corrupted = 0;
+
+  _.each(entries, function (entry) {
+    const name = entry.database + "/" + entry.name + "/" + entry.shard + " (" + entry.location + ")";
+    const valid = entry.database !== undefined && entry.cid !== undefined && entry.shard !== undefined &&
+      Array.isArray(entry.old) && Array.isArray(entry.correct);
+    let key;
+    let version;
+
+    if (valid && entry.location === "Plan") {
+      key = "arango/Plan/Collections/" + entry.database + "/" + entry.cid + "/shards/" + entry.shard;
+      version = "arango/Plan/Version";
+    } else if (valid && (entry.location === "Current" || entry.location === "failoverCandidates")) {
+      key = "arango/Current/Collections/" + entry.database + "/" + entry.cid + "/" + entry.shard + "/" +
+        (entry.location === "Current" ? "servers" : "failoverCandidates");
+      version = "arango/Current/Version";
+    }
+
+    if (key === undefined) {
+      print("ERROR: corrupted entry in shard server lists file: " + JSON.stringify(entry));
+      ++corrupted;
+      return;
+    }
+
+    if (entry.leaderUnknown) {
+      print("WARNING: keeping the unknown leader " + entry.old[0] + " of " + name);
+    }
+
+    if (_.isEqual(entry.old, entry.correct)) {
+      return;
+    }
+
+    const oper = {};
+    const prec = {};
+
+    oper[key] = entry.correct;
+    oper[version] = { op: "increment" };
+    prec[key] = { old: entry.old };
+
+    trxs.push({ trx: [oper, prec], description: name + " " + JSON.stringify(entry.correct) });
+  });
+
+  if (trxs.length === 0) {
+    if (corrupted > 0) {
+      print("ERROR: no server list repaired, " + corrupted + " corrupted entries");
+      return helper.exitCodes.ERROR;
+    }
+    helper.printGood("No server list to repair");
+    return helper.exitCodes.HEALTHY;
+  }
+
+  helper.confirmAgencyWrite(trxs.map(x => x.trx));
+  helper.saveRollbackFile(exports.name, trxs.map(x => x.trx));
+
+  const report = helper.agencyWrite(trxs.map(x => x.trx), trxs.map(x => x.description));
+  return helper.agencyWriteStatus(report, corrupted);
+};
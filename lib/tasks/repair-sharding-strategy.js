@@ -13,6 +13,7 @@ exports.args = [
     "name": "type",
     "optional": false,
     "type": "string",
+    "values": ["enterprise", "community"],
     "description": "'enterprise' or 'community'"
   }
 ];
@@ -20,6 +21,7 @@ exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Clears cleaned failover candidates found by analyze task.";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
 exports.requires = "3.3.23 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 Repairs missing sharding strategy.
 `;
@@ -31,10 +33,6 @@ exports.run = function (extra, args) {
   let collections = helper.getValue("repair-sharding-strategy-file", args);
   let type = helper.getValue("type", args);
 
-  if (type !== "enterprise" && type !== "community") {
-    helper.fatal("type must be 'enterprise' or 'community', got '" + type + "'");
-  }
-
   let ns = {};
   let os = {};
 
@@ -61,11 +59,9 @@ exports.run = function (extra, args) {
 
   let trx = [ ns, os ];
 
-  let res = helper.httpWrapper('POST', '/_api/agency/write', [trx]);
-  print(res);
-  if (res.results[0] === 0) {
-    print("WARNING: pre-condition failed, maybe cleanup already done");
-  } else {
-    print("INFO: " + JSON.stringify(res));
-  }
+  helper.confirmAgencyWrite([trx]);
+  helper.saveRollbackFile(exports.name, [trx]);
+
+  const report = helper.agencyWrite([trx], ["sharding strategy of " + collections.length + " collection(s)"]);
+  return helper.agencyWriteStatus(report);
 };
@@ -14,6 +14,7 @@ exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Clears unplanned failover candidates found by analyze task.";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
 exports.requires = "3.6.1 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 Repairs unplanned failover candidates.
 `;
@@ -42,11 +43,8 @@ exports.run = function (extra, args) {
 
   let trx = [ ns, os ];
 
-  let res = helper.httpWrapper('POST', '/_api/agency/write', [trx]);
-  print(res);
-  if (res.results[0] === 0) {
-    print("WARNING: pre-condition failed, maybe cleanup already done");
-  } else {
-    print("INFO: " + JSON.stringify(res));
-  }
+  helper.confirmAgencyWrite([trx]);
+
+  const report = helper.agencyWrite([trx], ["failover candidates of " + collections.length + " shard(s)"]);
+  return helper.agencyWriteStatus(report);
 };
@@ -13,10 +13,11 @@ exports.args_arangosh = "| --server.endpoint AGENT-OR-COORDINATOR";
 exports.description = "Resigns leadership.";
 exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
 exports.requires = "3.6.0 - 3.7.99";
+exports.destructive = true;
 exports.info = `
 This task resigns all leadership of a DBserver.
 `;
 
 exports.run = function (extra, args) {
-  require("../helper-cleanout-server").run(extra, args, false);
+  return require("../helper-cleanout-server").run(extra, args, false);
 };
@@ -0,0 +1,79 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+exports.name = "rollback";
+exports.group = "cleanup tasks";
+exports.args = [
+  {
+    name: "rollback-file",
+    optional: false,
+    type: "jsonfile",
+    description: "rollback file written by a cleanup task"
+  }
+];
+exports.args_arangosh = " --server.endpoint AGENT-OR-COORDINATOR";
+exports.description = "Reverts the agency changes of a cleanup task.";
+exports.selfTests = ["arango", "db", "leaderAgencyConnection"];
+exports.requires = "3.3.23 - 3.11.99";
+exports.destructive = true;
+exports.info = `
+Applies a rollback file written by one of the cleanup tasks. A value is only
+restored if the agency still holds the value the cleanup task has written.
+`;
+
+exports.run = function (extra, args) {
+  // imports
+  const _ = require('lodash');
+  const helper = require('../helper.js');
+
+  const rollback = helper.getValue("rollback-file", args);
+
+  if (!rollback || !Array.isArray(rollback.transactions)) {
+    helper.fatal("not a rollback file, missing 'transactions'");
+  }
+
+  print("INFO: rollback of task '" + rollback.task + "' created " + rollback.created +
+        " against '" + rollback.endpoint + "'");
+
+  // check the preconditions against the current agency
+  const dump = helper.getAgencyDumpFromObjectOrAgency()[0];
+  const applicable = [];
+
+  rollback.transactions.forEach(function (trx, pos) {
+    const [oper, prec] = trx;
+    let good = true;
+
+    _.each(prec, function (pre, key) {
+      const current = helper.getAgencyValue(dump, key);
+
+      if (pre.oldEmpty === true) {
+        if (current !== undefined) {
+          print("WARNING: transaction #" + pos + ": '" + key + "' has been set again, skipping");
+          good = false;
+        }
+      } else if (!_.isEqual(current, pre.old)) {
+        print("WARNING: transaction #" + pos + ": '" + key + "' has been changed since, skipping");
+        good = false;
+      }
+    });
+
+    if (good) {
+      _.each(oper, function (op, key) {
+        print("INFO: transaction #" + pos + ": restoring '" + key + "'");
+      });
+      applicable.push(trx);
+    }
+  });
+
+  // transactions skipped above count as not applied
+  const skipped = rollback.transactions.length - applicable.length;
+
+  if (applicable.length === 0) {
+    print("INFO: nothing to roll back");
+    return skipped > 0 ? helper.exitCodes.PARTIAL_FAILURE : helper.exitCodes.HEALTHY;
+  }
+
+  helper.confirmAgencyWrite(applicable);
+
+  const report = helper.agencyWrite(applicable);
+  return skipped > 0 ? helper.exitCodes.PARTIAL_FAILURE : helper.agencyWriteStatus(report);
+};
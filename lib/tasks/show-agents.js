@@ -68,6 +68,7 @@ exports.run = function (extra, args) {
           " at '" + ip + "'";
       }
     } catch (ex) {
+      errors['CONNECT_' + key] = "cannot connect to agent '" + key + "' at '" + ip + "'";
       table1.addRow(
         key,
         'failed to connecto to',
@@ -78,12 +79,14 @@ exports.run = function (extra, args) {
   });
 
   print();
-  print(table1.toString());
+  helper.printTable(table1);
   print();
-  print(table2.toString());
+  helper.printTable(table2);
   print();
 
   _.each(errors, function (msg) {
     printBad(msg);
   });
+
+  return _.isEmpty(errors) ? helper.exitCodes.HEALTHY : helper.exitCodes.ISSUES;
 };
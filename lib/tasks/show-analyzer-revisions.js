@@ -44,6 +44,6 @@ exports.run = function (extra, args) {
       '-');
   }
   print();
-  print(table.toString());
+  helper.printTable(table);
   print();
 };
@@ -101,7 +101,7 @@ exports.run = function (extra, args) {
     });
 
     print();
-    print(table.toString());
+    helper.printTable(table);
     print();
 
     print(stats["rocksdb.dbstats"]);
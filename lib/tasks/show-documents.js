@@ -7,12 +7,14 @@ exports.args = [
     "name": "level",
     "optional": false,
     "type": "string",
+    "values": ["collection", "col", "database", "db"],
     "description": "'collection' or 'database'"
   },
   {
     "name": "type",
     "optional": false,
     "type": "string",
+    "values": ["count", "indexes", "size", "total"],
     "description": "'count', 'indexes', 'size', 'total'"
   }
 ];
@@ -33,22 +35,13 @@ exports.run = function (extra, args) {
 
   if (level === "collection" || level === "col") {
     level = "col";
-  } else if (level === "database" || level === "db") {
-    level = "db";
   } else {
-    helper.fatal("argument 'level', expecting either 'collection' or 'database', got '" +
-                 level + "'");
+    level = "db";
   }
 
   // at what level shall we disply the information
   const type = helper.getValue("type", args);
 
-  if (type !== 'count' && type !== 'size' &&
-      type !== 'indexes' && type !== 'total') {
-    helper.fatal("argument 'type', expecting either 'count', 'indexes', 'size', " +
-                 "'total' got '" + type + "'");
-  }
-
   // imports
   const _ = require('lodash');
   const AsciiTable = require('../3rdParty/ascii-table');
@@ -212,6 +205,6 @@ exports.run = function (extra, args) {
   table1.addRow(_.concat(["TOTAL", '', ''], countTotal));
 
   print();
-  print(table1.toString());
+  helper.printTable(table1);
   print();
 };
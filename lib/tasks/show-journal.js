@@ -0,0 +1,137 @@
+/* jshint globalstrict:false, strict:false, sub: true */
+/* global print */
+exports.name = "show-journal";
+exports.group = "standalone tasks";
+exports.args = [
+  {
+    name: "journal-file",
+    optional: true,
+    type: "string",
+    description: "journal file (default: file given by --journal or maintenance-journal.jsonl)"
+  },
+  {
+    name: "task",
+    optional: true,
+    type: "string",
+    description: "only show entries written by this task"
+  },
+  {
+    name: "since",
+    optional: true,
+    type: "string",
+    description: "only show entries written at or after this time (ISO 8601)"
+  },
+  {
+    name: "until",
+    optional: true,
+    type: "string",
+    description: "only show entries written before this time (ISO 8601)"
+  },
+  {
+    name: "url",
+    optional: true,
+    type: "string",
+    description: "only show entries whose url contains this string"
+  },
+  {
+    name: "details",
+    optional: true,
+    type: "boolean",
+    default: false,
+    description: "show request body and response of each entry"
+  }
+];
+exports.args_arangosh = " --server.endpoint none";
+exports.description = "Lists the mutations recorded in the journal.";
+exports.selfTests = [];
+exports.requires = "3.3.23 - 4.99.99";
+exports.info = `
+Lists the agency writes and other modifying requests the maintenance tasks
+have performed. The entries can be filtered by task, time range and url,
+e.g.:
+
+    ./maintenance.sh show-journal --task=remove-zombies --since=2021-01-20T10:00
+`;
+
+exports.run = function (extra, args) {
+  // imports
+  const _ = require('lodash');
+  const AsciiTable = require('../3rdParty/ascii-table');
+  const helper = require('../helper.js');
+
+  const file = helper.getValue("journal-file", args) || helper.getJournalFile();
+  const task = helper.getValue("task", args);
+  const url = helper.getValue("url", args);
+  const details = helper.getValue("details", args);
+
+  const parseTime = (name) => {
+    const value = helper.getValue(name, args);
+    if (value === undefined) {
+      return undefined;
+    }
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      helper.fatal("Argument '" + name + "' expects a time, got '" + value + "'");
+    }
+    return time;
+  };
+
+  const since = parseTime("since");
+  const until = parseTime("until");
+
+  const outcome = (entry) => {
+    if (entry.error) {
+      return "exception";
+    }
+    const response = entry.response;
+    if (response === undefined || response === null) {
+      return "-";
+    }
+    if (response.error) {
+      return "error " + (response.code || "");
+    }
+    if (Array.isArray(response.results)) {
+      const failed = response.results.filter(r => r === 0).length;
+      if (failed > 0) {
+        return (response.results.length - failed) + " applied, " + failed + " precondition failed";
+      }
+      return response.results.length + " applied";
+    }
+    return "ok";
+  };
+
+  const entries = helper.readJournal(file).filter(function (entry) {
+    const time = Date.parse(entry.timestamp);
+    return (task === undefined || entry.task === task) &&
+      (url === undefined || (entry.url || "").indexOf(url) !== -1) &&
+      (since === undefined || time >= since) &&
+      (until === undefined || time < until);
+  });
+
+  const table = new AsciiTable('Journal ' + file);
+  table.setHeading('Time', 'Task', 'Endpoint', 'Request', 'Plan/Version', 'Outcome');
+
+  _.each(entries, function (entry) {
+    let version = "";
+    if (entry.planVersionBefore !== null && entry.planVersionBefore !== undefined) {
+      version = entry.planVersionBefore + " -> " + entry.planVersionAfter;
+    }
+    table.addRow(entry.timestamp, entry.task, entry.endpoint,
+      entry.method + " " + entry.url, version, outcome(entry));
+  });
+
+  print();
+  helper.printTable(table);
+  print();
+
+  if (details) {
+    _.each(entries, function (entry) {
+      print(entry.timestamp + " " + entry.task + " " + JSON.stringify(entry.args));
+      print("  request:  " + JSON.stringify(entry.body));
+      print("  response: " + JSON.stringify(entry.error || entry.response));
+      print();
+    });
+  }
+
+  print("INFO: " + entries.length + " matching entries");
+};
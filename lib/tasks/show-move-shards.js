@@ -122,7 +122,7 @@ exports.run = function (extra, args) {
         });
       });
 
-      print(table.toString());
+      helper.printTable(table);
     }
   };
 
@@ -137,7 +137,7 @@ exports.run = function (extra, args) {
     });
 
     if (seen) {
-      print(table.toString());
+      helper.printTable(table);
     }
   };
 
@@ -150,7 +150,7 @@ exports.run = function (extra, args) {
         table.addRow(name, count);
       });
 
-      print(table.toString());
+      helper.printTable(table);
     }
   };
 
@@ -167,7 +167,7 @@ exports.run = function (extra, args) {
     });
 
     if (seen) {
-      print(table.toString());
+      helper.printTable(table);
     }
   };
 
@@ -184,7 +184,7 @@ exports.run = function (extra, args) {
     });
 
     if (seen) {
-      print(table.toString());
+      helper.printTable(table);
     }
   };
 
@@ -19,14 +19,17 @@ exports.run = function (extra, args) {
   const state = dump.arango.Supervision.State;
   const maintenance = dump.arango.Supervision.Maintenance;
   const create = dump.arango.Target && dump.arango.Target.HotBackup && dump.arango.Target.HotBackup.Create;
+  let issues = false;
 
   if (state.Mode === "Normal") {
     if (maintenance || create) {
+      issues = true;
       print("WARNING: Supervision operating normally, last timestamp " + state.Timestamp);
     } else {
       print("INFO: Supervision operating normally, last timestamp " + state.Timestamp);
     }
   } else {
+    issues = true;
     print("WARNING: Supervision is in mode " + state.Mode + ", last timestamp " + state.Timestamp);
   }
 
@@ -41,4 +44,6 @@ exports.run = function (extra, args) {
   } else {
     print("INFO: /arango/Target/HotBackup/Create is not set");
   }
+
+  return issues ? helper.exitCodes.ISSUES : helper.exitCodes.HEALTHY;
 };
@@ -6,6 +6,8 @@ exports.args = [
   { "name": "mode",
     "optional": true,
     "type": "string",
+    "values": ["user", "db"],
+    "default": "user",
     "description": "output mode (user = by user, db = by database)"
   }
 ];
@@ -23,7 +25,7 @@ exports.run = function (extra, args) {
   const helper = require('../helper.js');
   const users = require("@arangodb/users");
   const AsciiTable = require('../3rdParty/ascii-table');
-  const outputType = helper.getValue("mode", args) || 'user';
+  const outputType = helper.getValue("mode", args);
 
   let table = new AsciiTable('Permissions');
   try {
@@ -126,7 +128,7 @@ exports.run = function (extra, args) {
     values.forEach(function (row) {
       table.addRow(row);
     });
-    print(table.toString());
+    helper.printTable(table);
   } catch (ex) {
     helper.fatal(ex);
   }
@@ -4,9 +4,12 @@ if (Test-Path 'Env:ARANGOSH') {
 }
 
 $scriptArgs = '--javascript.execute ./index.js '
-if( $args.Count -eq 0 -or $args[0] -eq "help") {
+$offlineTasks = @("help", "show-journal")
+# with a profile, index.js connects by itself
+if( $args.Count -eq 0 -or $offlineTasks -contains $args[0] -or ($args -match '^--profile')) {
   $scriptArgs += '--server.endpoint none '
 }
 $scriptArgs += $args
-Start-Process -Wait -WorkingDirectory './lib' -NoNewWindow -FilePath  $arangosh -ArgumentList $scriptArgs 
+$proc = Start-Process -Wait -PassThru -WorkingDirectory './lib' -NoNewWindow -FilePath  $arangosh -ArgumentList $scriptArgs
+exit $proc.ExitCode
 
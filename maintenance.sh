@@ -16,8 +16,54 @@ if test ! -x "$arangosh"; then
     exit 1
 fi
 
-if test "$1" = "help"; then
-    $arangosh --javascript.execute ./lib/index.js --server.endpoint none "$@"
-else
-    $arangosh --javascript.execute ./lib/index.js "$@"
-fi
+# connection profile, adds the endpoint and credentials of the profile
+case " $* " in
+    *" --profile "*|*" --profile="*)
+        options=`"$arangosh" --server.endpoint none --javascript.execute ./lib/profile-options.js "$@"`
+
+        if test $? -ne 0; then
+            echo "$options" 1>&2
+            exit 2
+        fi
+
+        saved_ifs="$IFS"
+        IFS='
+'
+        set -f
+        set -- `echo "$options" | grep '^--server\.'` "$@"
+        set +f
+        IFS="$saved_ifs"
+        ;;
+esac
+
+# the task is the first argument that is neither an option nor its value
+task=
+skip=
+for arg in "$@"; do
+    if test -n "$skip"; then
+        skip=
+        continue
+    fi
+
+    case "$arg" in
+        --dry-run|--yes|--force|--find-leader|--*=*)
+            ;;
+        --*)
+            skip=1
+            ;;
+        *)
+            task="$arg"
+            break
+            ;;
+    esac
+done
+
+# tasks that do not need a connection
+case "$task" in
+    help|show-journal)
+        $arangosh --javascript.execute ./lib/index.js --server.endpoint none "$@"
+        ;;
+    *)
+        $arangosh --javascript.execute ./lib/index.js "$@"
+        ;;
+esac
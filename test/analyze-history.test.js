@@ -0,0 +1,107 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask } = require('./harness');
+const fixtures = require('./fixtures');
+
+const job = { type: 'failedLeader', database: 'shop', collection: '1015', shard: 's2015',
+  fromServer: 'PRMR-00000003', toServer: 'PRMR-00000001' };
+
+// PRMR-00000003 fails at 03:11, the supervision moves the leadership of
+// s2015 (shop/orders) to PRMR-00000001, later a database is created
+const history = () => ({
+  compaction: { _key: '100', readDB: [fixtures.healthy()[0]] },
+  log: [
+    { _key: '101', term: 2, timestamp: '2021-03-04T03:10:00Z', request: {
+      '/arango/Supervision/Health/PRMR-00000003': { Status: 'BAD', Timestamp: '2021-03-04T03:10:00Z' } } },
+    { _key: '102', term: 2, timestamp: '2021-03-04T03:11:00Z', request: {
+      '/arango/Supervision/Health/PRMR-00000003/Status': 'FAILED' } },
+    { _key: '103', term: 2, timestamp: '2021-03-04T03:11:30Z', request: {
+      '/arango/Target/ToDo/4711': job } },
+    { _key: '104', term: 2, timestamp: '2021-03-04T03:12:05Z', request: [[{
+      '/arango/Target/ToDo/4711': { op: 'delete' },
+      '/arango/Target/Pending/4711': { op: 'set', new: job },
+      '/arango/Plan/Collections/shop/1015/shards/s2015': { op: 'set', new: ['PRMR-00000001'] },
+      '/arango/Plan/Version': { op: 'increment' }
+    }, { '/arango/Supervision/Health/PRMR-00000003/Status': { old: 'FAILED' } }]] },
+    { _key: '105', term: 2, timestamp: '2021-03-04T03:13:00Z', request: {
+      '/arango/Target/Pending/4711': { op: 'delete' },
+      '/arango/Target/Finished/4711': { op: 'set', new: job } } },
+    { _key: '106', term: 2, timestamp: '2021-03-04T03:20:00Z', request: {
+      '/arango/Plan/Databases/reports': { id: '99', name: 'reports' } } }
+  ]
+});
+
+const analyzeHistory = (args = []) => runTask(['analyze-history', 'history.json', '--output', 'json'].concat(args),
+  { files: { 'history.json': history() } });
+
+const timeline = (result) => JSON.parse(result.output).results.find((r) => r.name === 'timeline').value;
+
+test('analyze-history lists the events in order', () => {
+  const result = analyzeHistory();
+
+  assert.strictEqual(result.status, 0);
+  const events = timeline(result).map((e) => [e.index, e.category, e.object, e.details, e.job]);
+  assert.deepStrictEqual(events, [
+    [101, 'health', 'PRMR-00000003', 'GOOD -> BAD', ''],
+    [102, 'health', 'PRMR-00000003', 'BAD -> FAILED', ''],
+    [103, 'job', '4711', 'failedLeader created', 'failedLeader'],
+    [104, 'job', '4711', 'failedLeader started', 'failedLeader'],
+    [104, 'failover', 'shop/orders/s2015', 'PRMR-00000003 -> PRMR-00000001', 'failedLeader'],
+    [104, 'write', '/arango/Plan/Collections/shop/1015/shards/s2015', 'set', 'failedLeader'],
+    [105, 'job', '4711', 'failedLeader finished', 'failedLeader'],
+    [106, 'write', '/arango/Plan/Databases/reports', 'set', '']
+  ]);
+});
+
+test('analyze-history filters by time range', () => {
+  const result = analyzeHistory(['--since=2021-03-04T03:12', '--until=2021-03-04T03:15']);
+
+  assert.deepStrictEqual(timeline(result).map((e) => e.index), [104, 104, 104, 105]);
+});
+
+test('analyze-history filters by collection, shard and server', () => {
+  const byCollection = timeline(analyzeHistory(['--collection=orders']));
+  assert.deepStrictEqual(byCollection.map((e) => e.category), ['failover', 'write']);
+
+  const byShard = timeline(analyzeHistory(['--shard=s2015']));
+  assert.deepStrictEqual(byShard.map((e) => e.category), ['job', 'job', 'failover', 'write', 'job']);
+
+  const byServer = timeline(analyzeHistory(['--server=PRMR-00000003']));
+  assert.deepStrictEqual(byServer.map((e) => e.category), ['health', 'health', 'job', 'job', 'failover', 'job']);
+
+  const byDatabase = timeline(analyzeHistory(['--database=reports']));
+  assert.deepStrictEqual(byDatabase.map((e) => e.object), ['/arango/Plan/Databases/reports']);
+});
+
+test('analyze-history prints the timeline as a table', () => {
+  const result = runTask(['analyze-history', 'history.json', '--shard=s2015'], { files: { 'history.json': history() } });
+
+  assert.match(result.output, /2021-03-04T03:12:05.000Z \| +104 \| failover +\| shop\/orders\/s2015/);
+  assert.match(result.output, /INFO: 5 event\(s\): 3 job, 1 failover, 1 write/);
+});
+
+test('analyze-history replays the log on the compaction before its first entry', () => {
+  const later = fixtures.healthy()[0];
+  later.arango.Supervision.Health['PRMR-00000003'].Status = 'FAILED';
+  later.arango.Plan.Collections.shop['1015'].shards.s2015 = ['PRMR-00000001'];
+  const file = Object.assign(history(), { compaction: undefined, compactions: [
+    { _key: '105', readDB: [later] },
+    { _key: '100', readDB: [fixtures.healthy()[0]] }
+  ] });
+  const result = runTask(['analyze-history', 'history.json', '--output', 'json', '--server=PRMR-00000003'],
+    { files: { 'history.json': file } });
+
+  const events = timeline(result);
+  assert.strictEqual(events[0].details, 'GOOD -> BAD');
+  assert.strictEqual(events.find((e) => e.category === 'failover').details, 'PRMR-00000003 -> PRMR-00000001');
+});
+
+test('analyze-history rejects files which are no history', () => {
+  const result = runTask(['analyze-history', 'history.json'], { files: { 'history.json': { foo: 1 } } });
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /does not contain an agency history/);
+});
@@ -0,0 +1,136 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask } = require('./harness');
+const fixtures = require('./fixtures');
+
+const analyze = (dump) => runTask(['analyze', 'dump.json', '--output-dir=out'], { files: { 'dump.json': dump } });
+
+test('analyze reports no issues for a healthy cluster', () => {
+  const result = analyze(fixtures.healthy());
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /Did not detect any issues in your cluster/);
+  assert.deepStrictEqual(Object.keys(result.files), ['dump.json']);
+});
+
+test('analyze finds zombie collections', () => {
+  const result = analyze(fixtures.zombieCollection());
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.output, /Your cluster has some zombies/);
+  assert.deepStrictEqual(JSON.parse(result.files['out/zombies.json']), [{
+    database: 'shop',
+    cid: '9999',
+    data: { shards: { s9999: ['PRMR-00000001'] } }
+  }]);
+});
+
+test('analyze lists the generated files in the manifest', () => {
+  const result = analyze(fixtures.zombieCollection());
+  const manifest = JSON.parse(result.files['out/manifest.json']);
+
+  assert.strictEqual(manifest.task, 'analyze');
+  const zombies = manifest.files.find((f) => f.file === 'zombies.json');
+  assert.strictEqual(zombies.issue, 'zombies');
+  assert.strictEqual(zombies.task, 'remove-zombies');
+  assert.strictEqual(zombies.role, 'LEADER-AGENT');
+  assert.match(zombies.command, /remove-zombies .*out\/zombies\.json$/);
+});
+
+test('analyze writes into a timestamped directory by default', () => {
+  const result = runTask(['analyze', 'dump.json'], { files: { 'dump.json': fixtures.zombieCollection() } });
+
+  assert.ok(Object.keys(result.files).some((f) => /^analyze-\d{4}-.*\/zombies\.json$/.test(f)));
+});
+
+test('analyze finds skeleton databases', () => {
+  const result = analyze(fixtures.skeletonDatabase());
+
+  assert.match(result.output, /Your cluster has some skeleton databases/);
+  const skeletons = JSON.parse(result.files['out/skeleton-databases.json']);
+  assert.deepStrictEqual(skeletons.map((s) => s.database), ['skeleton']);
+});
+
+test('analyze finds dead primaries in Current', () => {
+  const result = analyze(fixtures.deadPrimary());
+
+  assert.match(result.output, /Your cluster has dead primaries in Current/);
+  const dead = JSON.parse(result.files['out/dead-primaries.json']);
+  assert.deepStrictEqual(dead.map((d) => [d.database, d.primary]), [['shop', 'PRMR-deadbeef']]);
+});
+
+test('analyze finds zombie coordinators', () => {
+  const result = analyze(fixtures.zombieCoordinator());
+
+  assert.match(result.output, /Your cluster has zombie coordinators/);
+  assert.deepStrictEqual(JSON.parse(result.files['out/zombie-coordinators.json']), ['CRDN-deadbeef']);
+});
+
+test('analyze finds missing system collections', () => {
+  const result = analyze(fixtures.missingSystemCollection());
+
+  assert.match(result.output, /Your cluster is missing relevant system collections/);
+  assert.deepStrictEqual(JSON.parse(result.files['out/missing-collections.json']),
+    [{ database: 'shop', missing: ['_jobs'] }]);
+});
+
+test('analyze reads the agency from a live agent', () => {
+  const result = runTask(['analyze'], { arango: { dump: fixtures.zombieCoordinator() } });
+
+  assert.match(result.output, /Your cluster has zombie coordinators/);
+  assert.strictEqual(result.arango.requestsTo('POST', '/_api/agency/write').length, 0);
+});
+
+test('analyze emits the findings as json', () => {
+  const result = runTask(['analyze', 'dump.json', '--output', 'json'],
+    { files: { 'dump.json': fixtures.zombieCollection() } });
+  const document = JSON.parse(result.output);
+
+  assert.strictEqual(document.task, 'analyze');
+  assert.ok(document.findings.some((f) => f.status === 'bad' && /zombies/.test(f.message)));
+});
+
+test('analyze exits with 2 if the dump cannot be read', () => {
+  const result = runTask(['analyze', 'missing.json']);
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /FATAL: Can not read file/);
+});
+
+test('analyze only runs the checks given by --checks', () => {
+  const result = runTask(['analyze', 'dump.json', '--output-dir=out', '--checks=zombieCoordinators'],
+    { files: { 'dump.json': fixtures.zombieCoordinator() } });
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.output, /Your cluster has zombie coordinators/);
+  assert.doesNotMatch(result.output, /zombies/);
+  assert.doesNotMatch(result.output, /Primaries/);
+});
+
+test('analyze leaves out the checks given by --skip-checks', () => {
+  const result = runTask(['analyze', 'dump.json', '--output-dir=out', '--skip-checks=zombies,shardingStrategy'],
+    { files: { 'dump.json': fixtures.zombieCollection() } });
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /Did not detect any issues in your cluster/);
+  assert.match(result.output, /Primaries/);
+});
+
+test('analyze rejects unknown checks', () => {
+  const result = runTask(['analyze', 'dump.json', '--checks=zombies,noSuchCheck'],
+    { files: { 'dump.json': fixtures.healthy() } });
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /FATAL: Unknown check 'noSuchCheck', available checks: zombies,/);
+});
+
+test('help analyze lists the available checks', () => {
+  const result = runTask(['help', 'analyze']);
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /Available checks/);
+  assert.match(result.output, /\| outOfSyncFollowers +\| warning +\|/);
+});
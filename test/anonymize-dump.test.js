@@ -0,0 +1,68 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask } = require('./harness');
+const fixtures = require('./fixtures');
+
+// a view with a user-defined analyzer and a JWT secret in the agency
+const sensitive = () => {
+  const dump = fixtures.zombieCollection();
+  dump[0].arango.Plan.Views = {
+    shop: { "5000": { id: "5000", name: "search", links: { orders: { analyzers: ["shop::words", "text_en"] } } } }
+  };
+  dump[0].arango.Sync.jwtSecret = "very secret";
+  return dump;
+};
+
+const anonymize = (files, args = []) => runTask(['anonymize-dump', 'anon.json', 'dump.json'].concat(args), { files });
+
+test('anonymize-dump replaces names, endpoints and secrets', () => {
+  const result = anonymize({ 'dump.json': sensitive() });
+
+  assert.strictEqual(result.status, 0);
+  const content = result.files['anon.json'];
+  ['shop', 'orders', 'search', 'words', '127.0.0.1', 'very secret', 's2015'].forEach((name) => {
+    assert.ok(!content.includes('"' + name) && !content.includes(name + '"'), name);
+  });
+
+  const agency = JSON.parse(content)[0].arango;
+  assert.deepStrictEqual(Object.keys(agency.Plan.Databases).sort(), ['_system', 'database-1']);
+  assert.ok(Object.keys(agency.Plan.Coordinators).every((id) => id.startsWith('CRDN-')));
+  assert.deepStrictEqual(agency.Plan.Views['database-1']['5000'].links, {
+    'collection-1': { analyzers: ['database-1::analyzer-1', 'text_en'] }
+  });
+  assert.strictEqual(agency.Sync.jwtSecret, '<removed>');
+  assert.match(agency.Supervision.Health['PRMR-00000001'].Endpoint, /^tcp:\/\/host-\d+:\d+$/);
+});
+
+test('anonymize-dump writes the mapping back to the real names', () => {
+  const result = anonymize({ 'dump.json': sensitive() });
+  const mapping = JSON.parse(result.files['anon-mapping.json']);
+
+  assert.strictEqual(mapping.databases['database-1'], 'shop');
+  assert.strictEqual(mapping.collections['collection-1'], 'orders');
+  assert.strictEqual(mapping.views['view-1'], 'search');
+  assert.strictEqual(mapping.analyzers['analyzer-1'], 'words');
+  assert.match(result.output, /WARNING: the mapping file 'anon-mapping.json' contains the real names/);
+});
+
+test('anonymize-dump keeps the findings of analyze', () => {
+  const anonymized = anonymize({ 'dump.json': fixtures.zombieCollection() });
+  const result = runTask(['analyze', 'anon.json', '--output-dir=out'],
+    { files: { 'anon.json': anonymized.files['anon.json'] } });
+
+  assert.strictEqual(result.status, 1);
+  const zombies = JSON.parse(result.files['out/zombies.json']);
+  assert.deepStrictEqual(zombies.map((z) => z.database), ['database-1']);
+});
+
+test('anonymize-dump reuses an existing mapping file', () => {
+  const mapping = { databases: { 'database-7': 'shop' } };
+  const result = anonymize({ 'dump.json': fixtures.healthy(), 'anon-mapping.json': mapping });
+
+  const agency = JSON.parse(result.files['anon.json'])[0].arango;
+  assert.deepStrictEqual(Object.keys(agency.Plan.Databases).sort(), ['_system', 'database-7']);
+  assert.strictEqual(JSON.parse(result.files['anon-mapping.json']).databases['database-7'], 'shop');
+});
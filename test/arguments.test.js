@@ -0,0 +1,15 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask } = require('./harness');
+const fixtures = require('./fixtures');
+
+test('boolean arguments reject values other than yes and no', () => {
+  const result = runTask(['query-agency', 'arango/Plan', 'dump.json', '--interactive=maybe'],
+    { files: { 'dump.json': fixtures.healthy() } });
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /Argument 'interactive' expects a boolean, got 'maybe'/);
+});
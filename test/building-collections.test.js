@@ -0,0 +1,114 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask, analyzeDump, createArango } = require('./harness');
+const fixtures = require('./fixtures');
+
+const analyzedEntries = () => analyzeDump(fixtures.buildingCollections()).outputFile('building-collections.json');
+
+test('analyze finds collections and indexes left with isBuilding', () => {
+  const result = analyzeDump(fixtures.buildingCollections());
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.output, /Your cluster has collections or indexes left with isBuilding/);
+
+  const entries = result.outputFile('building-collections.json');
+  assert.deepStrictEqual(entries.map((e) => [e.name, e.coordinator, e.coordinatorStatus, e.action, e.indexes]), [
+    ['orders', 'CRDN-00000001', 'restarted', undefined, [{ id: '77', name: 'idx_date', action: 'clear' }]],
+    ['invoices', 'CRDN-deadbeef', 'unknown', 'delete', []]
+  ]);
+  assert.deepStrictEqual(entries[1].errors,
+    [{ shard: 's2021', errorNum: 1104, errorMessage: 'could not create shard' }]);
+});
+
+test('analyze does not report collections being built by a running coordinator', () => {
+  const dump = fixtures.buildingCollections();
+  delete dump[0].arango.Current.ServersKnown;
+  dump[0].arango.Plan.Collections.shop['1020'].coordinator = 'CRDN-00000001';
+  const result = analyzeDump(dump);
+
+  assert.match(result.output, /INFO: 2 collection\(s\) or index\(es\) are being created by running coordinators/);
+  assert.match(result.output, /Your cluster does not have abandoned collections or indexes with isBuilding/);
+});
+
+test('analyze asks to retry later for collections of a BAD coordinator', () => {
+  const dump = fixtures.buildingCollections();
+  delete dump[0].arango.Current.ServersKnown;
+  dump[0].arango.Supervision.Health['CRDN-00000001'].Status = 'BAD';
+  const result = analyzeDump(dump);
+
+  assert.match(result.output, /WARNING: the coordinators creating these collections or indexes are not healthy/);
+  assert.match(result.output, /\| +shop +\| +orders +\| +idx_date +\| +CRDN-00000001 +\| +BAD +\|/);
+  assert.deepStrictEqual(result.outputFile('building-collections.json').map((e) => e.name), ['invoices']);
+});
+
+test('analyze lists failed creations in Current with their errors', () => {
+  const dump = fixtures.buildingCollections();
+  Object.assign(dump[0].arango.Current.Collections.shop['1015'].s2016,
+    { error: true, errorNum: 1104, errorMessage: 'disk full' });
+  const result = analyzeDump(dump);
+
+  assert.match(result.output, /Your cluster has databases, shards or indexes whose creation failed/);
+  assert.deepStrictEqual(result.outputFile('failed-creations.json'), [
+    { database: 'shop', server: 'PRMR-00000003', coordinator: 'CRDN-00000001',
+      errorNum: 1100, errorMessage: 'could not create database directory' },
+    { database: 'shop', cid: '1015', name: 'orders', shard: 's2016', server: 'PRMR-00000001',
+      coordinator: 'CRDN-00000001', errorNum: 1104, errorMessage: 'disk full' }
+  ]);
+  const manifest = JSON.parse(result.files['out/manifest.json']);
+  assert.strictEqual(manifest.files.find((f) => f.issue === 'failed-creations').task, undefined);
+});
+
+test('repair-building-collections deletes the half-created collection and clears the index flag', () => {
+  const arango = createArango({ dump: fixtures.buildingCollections() });
+  const result = runTask(['repair-building-collections', 'building.json', '--yes'],
+    { arango, files: { 'building.json': analyzedEntries() } });
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /2 applied, 0 skipped \(precondition\), 0 errors/);
+  assert.strictEqual(arango.agencyValue('/arango/Plan/Collections/shop/1020'), undefined);
+
+  const index = arango.agencyValue('/arango/Plan/Collections/shop/1015/indexes').find((i) => i.id === '77');
+  assert.strictEqual(index.isBuilding, undefined);
+  assert.strictEqual(index.name, 'idx_date');
+});
+
+test('repair-building-collections skips a collection which has changed since the analysis', () => {
+  const dump = fixtures.buildingCollections();
+  delete dump[0].arango.Plan.Collections.shop['1020'].isBuilding;
+  const arango = createArango({ dump });
+  const result = runTask(['repair-building-collections', 'building.json', '--yes'],
+    { arango, files: { 'building.json': analyzedEntries() } });
+
+  assert.strictEqual(result.status, 3);
+  assert.match(result.output, /1 applied, 1 skipped \(precondition\), 0 errors/);
+  assert.ok(arango.agencyValue('/arango/Plan/Collections/shop/1020'));
+});
+
+test('repair-building-collections reports corrupted entries', () => {
+  const entries = analyzedEntries();
+  entries[1].action = 'drop';
+  const arango = createArango({ dump: fixtures.buildingCollections() });
+  const result = runTask(['repair-building-collections', 'building.json', '--yes'],
+    { arango, files: { 'building.json': entries } });
+
+  assert.strictEqual(result.status, 3);
+  assert.match(result.output, /ERROR: corrupted entry in building collections file/);
+  assert.match(result.output, /1 applied, 0 skipped \(precondition\), 0 errors/);
+  assert.ok(arango.agencyValue('/arango/Plan/Collections/shop/1020'));
+});
+
+test('repair-building-collections reports index entries without indexes', () => {
+  const entries = analyzedEntries();
+  delete entries[0].data.indexes;
+  entries.push({ database: 'shop', cid: '1015', name: 'orders', isBuilding: false, data: {} });
+  const arango = createArango({ dump: fixtures.buildingCollections() });
+  const result = runTask(['repair-building-collections', 'building.json', '--yes'],
+    { arango, files: { 'building.json': entries } });
+
+  assert.strictEqual(result.status, 3);
+  assert.strictEqual(result.output.match(/ERROR: corrupted entry in building collections file/g).length, 2);
+  assert.match(result.output, /1 applied, 0 skipped \(precondition\), 0 errors/);
+});
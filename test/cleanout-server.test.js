@@ -0,0 +1,35 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask } = require('./harness');
+const fixtures = require('./fixtures');
+
+// DBServer0001 still leads s2015, which has no followers
+const routes = (job) => ({
+  'POST /_admin/cluster/resignLeadership': { code: 202, id: '5000' },
+  'POST /_admin/cluster/cleanOutServer': { code: 202, id: '5000' },
+  'GET /_admin/cluster/queryAgencyJob?id=5000': job,
+  'GET /_db/_system/_admin/cluster/shardDistribution': { results: {} },
+  'GET /_db/shop/_admin/cluster/shardDistribution': {
+    results: { orders: { Current: { s2015: { leader: 'DBServer0001', followers: [] } } } }
+  }
+});
+
+test('resign-leadership exits with ISSUES for leaderships it cannot hand over', () => {
+  const result = runTask(['resign-leadership', 'PRMR-00000001', '--yes'],
+    { arango: { dump: fixtures.healthy(), routes: routes({ status: 'Finished' }) } });
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.output, /WARNING: DBServer0001 still leads 1 shard\(s\) without followers/);
+});
+
+test('cleanout-server exits with ERROR if the job fails', () => {
+  const job = { status: 'Failed', job: { reason: 'no server to move s2015 to' } };
+  const result = runTask(['cleanout-server', 'PRMR-00000001', '--yes'],
+    { arango: { dump: fixtures.healthy(), routes: routes(job) } });
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /no server to move s2015 to/);
+});
@@ -0,0 +1,140 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask, createArango } = require('./harness');
+const fixtures = require('./fixtures');
+
+const zombieFile = () => {
+  const dump = fixtures.zombieCollection();
+  return [{ database: 'shop', cid: '9999', data: dump[0].arango.Plan.Collections.shop['9999'] }];
+};
+
+const removeZombies = (arango, options = {}) => runTask(
+  ['remove-zombies', 'zombies.json'].concat(options.args || []),
+  Object.assign({ arango, files: { 'zombies.json': zombieFile() } }, options));
+
+test('remove-zombies deletes the zombie after confirmation', () => {
+  const arango = createArango({ dump: fixtures.zombieCollection() });
+  const result = removeZombies(arango, { answers: ['yes'] });
+
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(arango.agencyValue('/arango/Plan/Collections/shop/9999'), undefined);
+  assert.match(result.output, /1 applied, 0 skipped \(precondition\), 0 errors/);
+
+  const rollback = Object.keys(result.files).filter((f) => f.startsWith('rollback-remove-zombies-'));
+  assert.strictEqual(rollback.length, 1);
+
+  const journal = result.files['maintenance-journal.jsonl'].trim().split('\n').map(JSON.parse);
+  assert.strictEqual(journal.length, 1);
+  assert.strictEqual(journal[0].task, 'remove-zombies');
+  assert.strictEqual(journal[0].url, '/_api/agency/write');
+});
+
+test('remove-zombies writes the journal to the file given by --journal=', () => {
+  const arango = createArango({ dump: fixtures.zombieCollection() });
+  const result = removeZombies(arango, { args: ['--yes', '--journal=ops.jsonl'] });
+
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(result.files['maintenance-journal.jsonl'], undefined);
+  assert.strictEqual(result.files['ops.jsonl'].trim().split('\n').length, 1);
+});
+
+test('remove-zombies does not write without confirmation', () => {
+  const arango = createArango({ dump: fixtures.zombieCollection() });
+  const result = removeZombies(arango, { answers: ['no'] });
+
+  assert.strictEqual(result.status, 2);
+  assert.strictEqual(arango.writes.length, 0);
+  assert.ok(arango.agencyValue('/arango/Plan/Collections/shop/9999'));
+});
+
+test('remove-zombies accepts --yes instead of a typed confirmation', () => {
+  const arango = createArango({ dump: fixtures.zombieCollection() });
+  const result = removeZombies(arango, { args: ['--yes'] });
+
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(arango.writes.length, 1);
+});
+
+test('remove-zombies only prints the transaction in dry-run mode', () => {
+  const arango = createArango({ dump: fixtures.zombieCollection() });
+  const result = removeZombies(arango, { args: ['--dry-run'] });
+
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(arango.requestsTo('POST', '/_api/agency/write').length, 0);
+  assert.match(result.output, /Plan\/Collections\/shop\/9999/);
+});
+
+test('remove-zombies skips a zombie that has changed since the analysis', () => {
+  const dump = fixtures.zombieCollection();
+  dump[0].arango.Plan.Collections.shop['9999'].shards.s9999.push('PRMR-00000002');
+  const arango = createArango({ dump });
+  const result = removeZombies(arango, { args: ['--yes'] });
+
+  assert.strictEqual(result.status, 3);
+  assert.match(result.output, /0 applied, 1 skipped \(precondition\), 0 errors/);
+  assert.ok(arango.agencyValue('/arango/Plan/Collections/shop/9999'));
+});
+
+test('rollback restores the removed zombie', () => {
+  const arango = createArango({ dump: fixtures.zombieCollection() });
+  const removed = removeZombies(arango, { args: ['--yes'] });
+  const file = Object.keys(removed.files).find((f) => f.startsWith('rollback-'));
+
+  const result = runTask(['rollback', 'rollback.json', '--yes'],
+    { arango, files: { 'rollback.json': removed.files[file] } });
+
+  assert.strictEqual(result.status, 0);
+  assert.deepStrictEqual(arango.agencyValue('/arango/Plan/Collections/shop/9999'),
+    zombieFile()[0].data);
+});
+
+test('repair-broken-edge-indexes sets the corrected index and can be rolled back', () => {
+  const arango = createArango({ dump: fixtures.healthy(), role: 'COORDINATOR' });
+  const path = 'arango/Plan/Collections/shop/1015/indexes/0';
+  const bad = arango.agencyValue('/' + path);
+  const good = Object.assign({}, bad, { name: 'primary-fixed' });
+
+  const repaired = runTask(['repair-broken-edge-indexes', 'indexes.json', '--yes'],
+    { arango, files: { 'indexes.json': [{ path, bad, good }] } });
+
+  assert.strictEqual(repaired.status, 0);
+  assert.deepStrictEqual(arango.agencyValue('/' + path), good);
+
+  // the rollback runs against the agency
+  arango.role = 'AGENT';
+  const file = Object.keys(repaired.files).find((f) => f.startsWith('rollback-'));
+  const result = runTask(['rollback', 'rollback.json', '--yes'],
+    { arango, files: { 'rollback.json': repaired.files[file] } });
+
+  assert.strictEqual(result.status, 0);
+  assert.deepStrictEqual(arango.agencyValue('/' + path), bad);
+});
+
+test('clear-maintenance asks before clearing the maintenance flag', () => {
+  const dump = fixtures.healthy();
+  dump[0].arango.Supervision.State = { Mode: 'Maintenance', Timestamp: '2021-01-20T10:00:00Z' };
+  dump[0].arango.Supervision.Maintenance = true;
+
+  const declined = createArango({ dump });
+  assert.strictEqual(runTask(['clear-maintenance'], { arango: declined, answers: ['no'] }).status, 2);
+  assert.strictEqual(declined.writes.length, 0);
+
+  const arango = createArango({ dump });
+  const result = runTask(['clear-maintenance'], { arango, answers: ['yes'] });
+
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(arango.agencyValue('/arango/Supervision/Maintenance'), undefined);
+});
+
+test('change-database-write-concern still accepts the deprecated dry-run argument', () => {
+  const arango = createArango({ dump: fixtures.healthy() });
+  const result = runTask(['change-database-write-concern', 'dump.json', 'shop', '2', 'true'],
+    { arango, files: { 'dump.json': fixtures.healthy() } });
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /WARNING: the argument 'dry-run' is deprecated/);
+  assert.strictEqual(arango.requestsTo('POST', '/_api/agency/write').length, 0);
+});
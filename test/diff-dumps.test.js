@@ -0,0 +1,75 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask } = require('./harness');
+const fixtures = require('./fixtures');
+
+const diffDumps = (before, after, args = []) => runTask(['diff-dumps', 'old.json', 'new.json'].concat(args),
+  { files: { 'old.json': before, 'new.json': after } });
+
+// PRMR-00000003 failed, the supervision moved the leadership of s2015
+// (orders) to its follower and a job is still running
+const failover = () => {
+  const dump = fixtures.healthy();
+  const arango = dump[0].arango;
+  const cid = Object.keys(arango.Plan.Collections.shop).find((c) => arango.Plan.Collections.shop[c].name === 'orders');
+  const shard = Object.keys(arango.Plan.Collections.shop[cid].shards)[0];
+  const servers = arango.Plan.Collections.shop[cid].shards[shard];
+
+  arango.Supervision.Health[servers[0]].Status = 'FAILED';
+  arango.Plan.Collections.shop[cid].shards[shard] = [servers[1]];
+  arango.Current.Collections.shop[cid][shard].servers = [servers[1]];
+  arango.Plan.Databases.reports = { id: '99', name: 'reports' };
+  arango.Target.Finished['4711'] = { type: 'failedLeader', database: 'shop', shard, fromServer: servers[0], toServer: servers[1] };
+  arango.Target.Pending['4712'] = { type: 'addFollower', database: 'shop', shard };
+  arango.Plan.Version += 3;
+  arango.Current.Version += 5;
+  return { dump, shard, servers };
+};
+
+test('diff-dumps reports no differences for equal dumps', () => {
+  const result = diffDumps(fixtures.healthy(), fixtures.healthy());
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /The agency dumps do not differ/);
+});
+
+test('diff-dumps lists the differences of a failover', () => {
+  const { dump, shard, servers } = failover();
+  const result = diffDumps(fixtures.healthy(), dump, ['--output', 'json']);
+
+  assert.strictEqual(result.status, 1);
+  const differences = JSON.parse(result.output).results.find((r) => r.name === 'differences').value;
+  const find = (category) => differences.filter((d) => d.category === category);
+
+  assert.deepStrictEqual(find('database added').map((d) => d.object), ['reports']);
+  assert.deepStrictEqual(find('leader changed'), [{
+    category: 'leader changed', object: 'shop/orders/' + shard, old: servers[0], new: servers[1]
+  }]);
+  assert.strictEqual(find('current changed').length, 1);
+  assert.deepStrictEqual(find('follower out of sync'), []);
+  assert.deepStrictEqual(find('server status'), [{
+    category: 'server status', object: servers[0], old: 'GOOD', new: 'FAILED'
+  }]);
+  assert.deepStrictEqual(find('job finished').map((d) => d.object), ['4711']);
+  assert.deepStrictEqual(find('job created').map((d) => d.object), ['4712']);
+  assert.deepStrictEqual(find('version').map((d) => d.new), [
+    (dump[0].arango.Plan.Version) + ' (+3)', (dump[0].arango.Current.Version) + ' (+5)'
+  ]);
+});
+
+test('diff-dumps reports followers falling out of and back into sync', () => {
+  const { shard, servers } = failover();
+  const outOfSync = fixtures.healthy();
+  const arango = outOfSync[0].arango;
+  const cid = Object.keys(arango.Plan.Collections.shop).find((c) => arango.Plan.Collections.shop[c].name === 'orders');
+  arango.Current.Collections.shop[cid][shard].servers = [servers[0]];
+
+  const result = diffDumps(fixtures.healthy(), outOfSync);
+  assert.match(result.output, new RegExp('follower out of sync +\\| shop/orders/' + shard + ' +\\| ' + servers[1]));
+
+  const back = diffDumps(outOfSync, fixtures.healthy());
+  assert.match(back.output, new RegExp('follower in sync +\\| shop/orders/' + shard + ' +\\| - +\\| ' + servers[1]));
+});
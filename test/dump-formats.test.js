@@ -0,0 +1,68 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require, Buffer */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { runTask } = require('./harness');
+const fixtures = require('./fixtures');
+
+const analyze = (name, content) => runTask(['analyze', name, '--output-dir=out'], { files: { [name]: content } });
+
+const agency = () => fixtures.zombieCollection()[0];
+
+// the zombie must be found whatever the shape of the dump
+const assertAnalyzed = (result, format) => {
+  assert.strictEqual(result.status, 1);
+  assert.ok(result.lines.includes('INFO: recognised agency dump format: ' + format), result.output);
+  assert.deepStrictEqual(JSON.parse(result.files['out/zombies.json']).map((z) => z.cid), ['9999']);
+};
+
+test('analyze reads a gzip compressed dump', () => {
+  const content = zlib.gzipSync(Buffer.from(JSON.stringify([agency()])));
+
+  assertAnalyzed(analyze('dump.json.gz', content), 'agency dump [{arango}]');
+});
+
+test('analyze reads the output of /_api/agency/read', () => {
+  assertAnalyzed(analyze('dump.json', [[agency()]]), 'agency read result [[{arango}]]');
+});
+
+test('analyze reads the agency history', () => {
+  assertAnalyzed(analyze('dump.json', { agency: agency() }), 'agency history {agency: {arango}}');
+});
+
+test('analyze uses the newest compaction of the agency state', () => {
+  const content = {
+    compactions: [
+      { _key: '00000000000000000020', readDB: [agency()] },
+      { _key: '00000000000000000010', readDB: [fixtures.healthy()[0]] }
+    ],
+    log: []
+  };
+
+  assertAnalyzed(analyze('state.json', content), 'agency state {compactions: [{readDB}]}');
+});
+
+test('analyze reads an arangodump of the agency compactions', () => {
+  const lines = [
+    { type: 2300, data: { _key: '10', readDB: [fixtures.healthy()[0]] } },
+    { type: 2300, data: { _key: '20', readDB: [agency()] } }
+  ].map((line) => JSON.stringify(line)).join('\n') + '\n';
+
+  assertAnalyzed(analyze('compact.data.json.gz', zlib.gzipSync(Buffer.from(lines))),
+    'arangodump of the agency compactions');
+});
+
+test('analyze finds the agency embedded in a debug package', () => {
+  const content = { version: '3.7.10', cluster: { servers: [], agencyDump: agency() } };
+
+  assertAnalyzed(analyze('debug.json', content), "agency embedded at 'cluster.agencyDump'");
+});
+
+test('analyze rejects an unknown dump format', () => {
+  const result = analyze('dump.json', { servers: [] });
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /Unrecognised agency dump format, known formats are: agency dump/);
+});
@@ -0,0 +1,155 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require, module */
+
+// Agency dumps for the tests, in the format written by the `dump` task. Each
+// function returns a fresh copy of the healthy 3.7 cluster (three DBServers,
+// one coordinator, databases `_system` and `shop`) with one known problem
+// added, or of the same healthy cluster on a newer version.
+
+const _ = require('lodash');
+const healthy = require('./agency-3.7-healthy.json');
+const healthy38 = require('./agency-3.8-healthy.json');
+const healthy311 = require('./agency-3.11-healthy.json');
+
+const agency = () => _.cloneDeep(healthy);
+
+const fixtures = {
+  healthy: () => agency(),
+
+  // the same cluster on 3.8, with Plan/Analyzers and the 3.8 collection
+  // properties
+  healthy38: () => _.cloneDeep(healthy38),
+
+  // the same cluster on 3.11, plus the database `ledger` using replication
+  // version 2
+  healthy311: () => _.cloneDeep(healthy311),
+
+  // collection entry in Plan without name and id
+  zombieCollection: () => {
+    const dump = agency();
+    dump[0].arango.Plan.Collections.shop["9999"] = { shards: { s9999: ["PRMR-00000001"] } };
+    return dump;
+  },
+
+  // database in Plan without any collections
+  skeletonDatabase: () => {
+    const dump = agency();
+    dump[0].arango.Plan.Databases.skeleton = { id: "99", name: "skeleton", replicationFactor: 2 };
+    return dump;
+  },
+
+  // Current/Databases contains a server that is no longer known
+  deadPrimary: () => {
+    const dump = agency();
+    dump[0].arango.Current.Databases.shop["PRMR-deadbeef"] = { id: "11", name: "shop", error: false };
+    return dump;
+  },
+
+  // coordinator registered in Current but no longer planned
+  zombieCoordinator: () => {
+    const dump = agency();
+    dump[0].arango.Current.Coordinators["CRDN-deadbeef"] = "none";
+    return dump;
+  },
+
+  // system collection missing in database `shop`
+  missingSystemCollection: () => {
+    const dump = agency();
+    const cid = _.findKey(dump[0].arango.Plan.Collections.shop, (c) => c.name === "_jobs");
+    delete dump[0].arango.Plan.Collections.shop[cid];
+    delete dump[0].arango.Current.Collections.shop[cid];
+    return dump;
+  },
+
+  // DBServer0003 failed, `orders` needs three copies and three acknowledged
+  // writes
+  replicationFactorTooHigh: () => {
+    const dump = agency();
+    const orders = dump[0].arango.Plan.Collections.shop["1015"];
+    dump[0].arango.Supervision.Health["PRMR-00000003"].Status = "FAILED";
+    orders.replicationFactor = 3;
+    orders.writeConcern = 3;
+    orders.minReplicationFactor = 3;
+    return dump;
+  },
+
+  // a follower listed twice in Plan and an unknown follower in Current
+  invalidShardServerLists: () => {
+    const dump = agency();
+    dump[0].arango.Plan.Collections.shop["1015"].shards.s2016.push("PRMR-00000002");
+    dump[0].arango.Current.Collections.shop["1015"].s2017.servers.push("PRMR-cafecafe");
+    return dump;
+  },
+
+  // a moveShard to an unknown server running for two hours, which locks its
+  // shard, an old resignLeadership and a new cleanOutServer job
+  stuckJobs: () => {
+    const dump = agency();
+    const target = dump[0].arango.Target;
+    target.Pending["1001"] = {
+      type: "moveShard", jobId: "1001", database: "shop", collection: "1015", shard: "s2015",
+      fromServer: "PRMR-00000003", toServer: "PRMR-cafecafe", isLeader: true, creator: "CRDN-00000001",
+      timeCreated: "2021-01-20T07:59:00Z", timeStarted: "2021-01-20T08:00:00Z"
+    };
+    target.ToDo["1002"] = {
+      type: "resignLeadership", jobId: "1002", server: "PRMR-00000001", creator: "CRDN-00000001",
+      timeCreated: "2021-01-20T08:30:00Z"
+    };
+    target.ToDo["1003"] = {
+      type: "cleanOutServer", jobId: "1003", server: "PRMR-00000002", creator: "CRDN-00000001",
+      timeCreated: "2021-01-20T09:50:00Z"
+    };
+    dump[0].arango.Supervision.Shards = { s2015: "1001" };
+    return dump;
+  },
+
+  // shard s2016 is still locked by a finished job, DBServer0002 by a job
+  // which is gone, s2015 by a running job
+  orphanedLocks: () => {
+    const dump = agency();
+    const target = dump[0].arango.Target;
+    target.Finished["2001"] = {
+      type: "moveShard", jobId: "2001", database: "shop", collection: "1015", shard: "s2016",
+      fromServer: "PRMR-00000002", toServer: "PRMR-00000003", creator: "CRDN-00000001",
+      timeCreated: "2021-01-20T09:40:00Z", timeStarted: "2021-01-20T09:40:01Z", timeFinished: "2021-01-20T09:41:00Z"
+    };
+    target.Pending["2003"] = {
+      type: "moveShard", jobId: "2003", database: "shop", collection: "1015", shard: "s2015",
+      fromServer: "PRMR-00000003", toServer: "PRMR-00000002", creator: "CRDN-00000001",
+      timeCreated: "2021-01-20T09:58:00Z", timeStarted: "2021-01-20T09:59:00Z"
+    };
+    dump[0].arango.Supervision.Shards = { s2015: "2003", s2016: "2001" };
+    dump[0].arango.Supervision.DBServers = { "PRMR-00000002": "2002" };
+    return dump;
+  },
+
+  // the collection `invoices` of a failed coordinator with a shard which
+  // could not be created, an index of `orders` created completely by a
+  // coordinator which restarted since, and a database which could not be
+  // created on DBServer0003
+  buildingCollections: () => {
+    const dump = agency();
+    const arango = dump[0].arango;
+    const orders = arango.Plan.Collections.shop["1015"];
+    const index = { id: "77", name: "idx_date", type: "persistent", fields: ["date"], sparse: false, unique: false };
+
+    arango.Plan.Collections.shop["1020"] = _.extend(_.cloneDeep(orders), {
+      id: "1020", name: "invoices", numberOfShards: 2, isBuilding: true, coordinator: "CRDN-deadbeef",
+      coordinatorRebootId: 1, shards: { s2020: ["PRMR-00000001", "PRMR-00000002"], s2021: ["PRMR-00000002", "PRMR-00000003"] }
+    });
+    arango.Current.Collections.shop["1020"] = {
+      s2020: _.cloneDeep(arango.Current.Collections.shop["1015"].s2016),
+      s2021: { error: true, errorNum: 1104, errorMessage: "could not create shard", indexes: [], servers: [] }
+    };
+
+    orders.indexes.push(_.extend({ isBuilding: true, coordinator: "CRDN-00000001", coordinatorRebootId: 1 }, index));
+    _.each(arango.Current.Collections.shop["1015"], (shard) => shard.indexes.push(_.extend({}, index)));
+    arango.Current.ServersKnown = { "CRDN-00000001": { rebootId: 2 } };
+
+    _.extend(arango.Current.Databases.shop["PRMR-00000003"],
+      { error: true, errorNum: 1100, errorMessage: "could not create database directory" });
+    return dump;
+  }
+};
+
+module.exports = fixtures;
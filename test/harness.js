@@ -0,0 +1,231 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require, module, process, __dirname, Buffer */
+
+// Runs `lib/index.js` under plain Node. The arangosh globals (`arango`, `db`,
+// `print`, `ARGUMENTS`) and modules (`fs`, `internal`, `console`,
+// `@arangodb`) are replaced by the mocks and shims below.
+
+const nodeFs = require('fs');
+const zlib = require('zlib');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const _ = require('lodash');
+const { createArango, createDb } = require('./mock-arango');
+
+const libDir = path.resolve(__dirname, '..', 'lib');
+
+// state of the currently running task
+const current = {
+  version: "3.7.10",
+  answers: [],
+  waits: [],
+  users: []
+};
+
+// arangosh `fs` on top of the Node `fs`
+const fsShim = {
+  exists: (file) => nodeFs.existsSync(file),
+  isFile: (file) => nodeFs.existsSync(file) && nodeFs.statSync(file).isFile(),
+  isDirectory: (file) => nodeFs.existsSync(file) && nodeFs.statSync(file).isDirectory(),
+  read: (file) => nodeFs.readFileSync(file, 'utf8'),
+  readGzip: (file) => zlib.gunzipSync(nodeFs.readFileSync(file)).toString('utf8'),
+  write: (file, data) => nodeFs.writeFileSync(file, data),
+  writeGzip: (file, data) => nodeFs.writeFileSync(file, zlib.gzipSync(data)),
+  append: (file, data) => nodeFs.appendFileSync(file, data),
+  remove: (file) => nodeFs.unlinkSync(file),
+  list: (dir) => nodeFs.readdirSync(dir),
+  listTree: (dir) => [""].concat(nodeFs.readdirSync(dir, { recursive: true })),
+  makeDirectory: (dir) => nodeFs.mkdirSync(dir),
+  makeDirectoryRecursive: (dir) => nodeFs.mkdirSync(dir, { recursive: true }),
+  makeAbsolute: (file) => path.resolve(file),
+  join: (...parts) => path.join(...parts),
+  pathSeparator: path.sep
+};
+
+const internalShim = {
+  get version () {
+    return current.version;
+  },
+  env: process.env,
+  wait: (seconds) => {
+    // does not sleep, but lets the clock advance so timestamps differ
+    const until = Date.now() + 2;
+    while (Date.now() < until) {
+      // busy wait
+    }
+    current.waits.push(seconds);
+  }
+};
+
+const consoleShim = {
+  getline: () => {
+    if (current.answers.length === 0) {
+      throw new Error("no more answers for getline");
+    }
+    return current.answers.shift();
+  }
+};
+
+const usersShim = {
+  all: () => current.users,
+  document: (user) => current.users.find((u) => u.user === user),
+  permission: () => ({})
+};
+
+const arangodbShim = {
+  get db () {
+    return global.db;
+  },
+  print: (...args) => global.print(...args)
+};
+
+const shims = {
+  'fs': fsShim,
+  'internal': internalShim,
+  'console': consoleShim,
+  '@arangodb': arangodbShim,
+  '@arangodb/users': usersShim
+};
+
+// only modules below lib/ see the shims, the harness keeps the Node modules
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (shims.hasOwnProperty(request) && parent && parent.filename &&
+      parent.filename.startsWith(libDir)) {
+    return shims[request];
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+class ExitError extends Error {
+  constructor (code) {
+    super("process.exit(" + code + ")");
+    this.code = code;
+  }
+}
+
+const format = (value) => {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value === undefined) {
+    return "undefined";
+  }
+  return JSON.stringify(value);
+};
+
+const forgetLibModules = () => {
+  Object.keys(require.cache).forEach((file) => {
+    if (file.startsWith(libDir)) {
+      delete require.cache[file];
+    }
+  });
+};
+
+/*
+ * Runs a task like `./maintenance.sh <args>`.
+ *
+ * options:
+ *   files:   { name: content } written to the working directory beforehand,
+ *            objects are stored as JSON, buffers as they are, names may
+ *            contain directories
+ *   answers: lines returned by `console.getline`, e.g. ["yes"]
+ *   version: arangosh version (default "3.7.10")
+ *   arango:  options for `createArango`, or an existing mock
+ *   db:      methods to add to the mock `db`
+ *
+ * Returns { status, output, lines, arango, files }, where `files` contains
+ * all files below the working directory after the run, by relative path.
+ * Files ending in `.gz` are returned decompressed.
+ */
+const runTask = (args, options = {}) => {
+  const dir = nodeFs.mkdtempSync(path.join(os.tmpdir(), 'maintenance-test-'));
+  const cwd = process.cwd();
+  const exit = process.exit;
+  const saved = ['arango', 'db', 'print', 'ARGUMENTS'].map((name) => [name, global[name]]);
+
+  const lines = [];
+  const arango = (options.arango && options.arango.requests) ? options.arango : createArango(options.arango);
+
+  current.version = options.version || "3.7.10";
+  current.answers = (options.answers || []).slice();
+  current.waits = [];
+  current.users = options.users || [];
+
+  _.each(options.files || {}, (content, name) => {
+    nodeFs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    nodeFs.writeFileSync(path.join(dir, name),
+      (typeof content === 'string' || Buffer.isBuffer(content)) ? content : JSON.stringify(content));
+  });
+
+  global.arango = arango;
+  global.db = createDb(arango, options.db);
+  global.print = (...args) => {
+    lines.push(...args.map(format).join(" ").split("\n"));
+  };
+  global.ARGUMENTS = args.slice();
+
+  process.exit = (code) => {
+    throw new ExitError(code === undefined ? 0 : code);
+  };
+
+  let status = 0;
+
+  try {
+    process.chdir(dir);
+    forgetLibModules();
+    require(path.join(libDir, 'index.js'));
+  } catch (err) {
+    if (!(err instanceof ExitError)) {
+      nodeFs.rmSync(dir, { recursive: true, force: true });
+      throw err;
+    }
+    status = err.code;
+  } finally {
+    process.exit = exit;
+    process.chdir(cwd);
+    saved.forEach(([name, value]) => {
+      global[name] = value;
+    });
+  }
+
+  const files = {};
+  nodeFs.readdirSync(dir, { recursive: true }).forEach((name) => {
+    const file = path.join(dir, name);
+    if (nodeFs.statSync(file).isFile()) {
+      files[name.split(path.sep).join('/')] = name.endsWith('.gz')
+        ? zlib.gunzipSync(nodeFs.readFileSync(file)).toString('utf8')
+        : nodeFs.readFileSync(file, 'utf8');
+    }
+  });
+  nodeFs.rmSync(dir, { recursive: true, force: true });
+
+  return {
+    status,
+    output: lines.join("\n"),
+    lines,
+    arango,
+    files,
+    waits: current.waits
+  };
+};
+
+/*
+ * Runs `analyze` on the agency dump `dump`, with the further arguments
+ * `args`, writing to the output directory `out`. Returns the result of
+ * `runTask`, with `outputFile(name)` returning the parsed output file `name`.
+ */
+const analyzeDump = (dump, args = []) => {
+  const result = runTask(['analyze', 'dump.json', '--output-dir=out'].concat(args), { files: { 'dump.json': dump } });
+
+  result.outputFile = (name) => JSON.parse(result.files['out/' + name]);
+  return result;
+};
+
+module.exports = {
+  runTask,
+  analyzeDump,
+  createArango,
+  createDb
+};
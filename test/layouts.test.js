@@ -0,0 +1,141 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask, createArango } = require('./harness');
+const fixtures = require('./fixtures');
+
+const version = '3.11.4';
+
+const analyze = (dump) => runTask(['analyze', 'dump.json', '--output-dir=out'],
+  { files: { 'dump.json': dump }, version });
+
+// orders is placed on two of the three DBServers only
+const imbalanced = () => {
+  const dump = fixtures.healthy311();
+  const shards = dump[0].arango.Plan.Collections.shop['1015'].shards;
+  Object.keys(shards).forEach((shard) => {
+    shards[shard] = ['PRMR-00000001', 'PRMR-00000002'];
+  });
+  return dump;
+};
+
+test('analyze reports no issues for a healthy 3.8 cluster', () => {
+  const result = analyze(fixtures.healthy38());
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /INFO: analyzing a cluster of version 3\.8\.7/);
+  assert.match(result.output, /Did not detect any issues in your cluster/);
+});
+
+test('analyze skips replication 2 databases of a 3.11 cluster', () => {
+  const result = analyze(fixtures.healthy311());
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /INFO: analyzing a cluster of version 3\.11\.4/);
+  assert.match(result.output, /WARNING: databases using replication version 2 are not analyzed: ledger/);
+  assert.match(result.output, /Did not detect any issues in your cluster/);
+});
+
+test('analyze finds zombie collections in a 3.11 cluster', () => {
+  const dump = fixtures.healthy311();
+  dump[0].arango.Plan.Collections.shop['9999'] = { shards: { s9999: ['PRMR-00000001'] } };
+  const result = analyze(dump);
+
+  assert.strictEqual(result.status, 1);
+  const zombies = JSON.parse(result.files['out/zombies.json']);
+  assert.deepStrictEqual(zombies.map((z) => z.cid), ['9999']);
+});
+
+test('analyze finds cleaned out failover candidates in a 3.11 cluster', () => {
+  const dump = fixtures.healthy311();
+  dump[0].arango.Target.CleanedServers = ['PRMR-00000003'];
+  const result = analyze(dump);
+
+  assert.strictEqual(result.status, 1);
+  const fixes = JSON.parse(result.files['out/cleaned-failovers.json']);
+  assert.deepStrictEqual(fixes['arango/Current/Collections/shop/1015/s2015/failoverCandidates'],
+    [['PRMR-00000001'], ['PRMR-00000003', 'PRMR-00000001']]);
+});
+
+test('analyze finds unplanned failover candidates in a 3.8 cluster', () => {
+  const dump = fixtures.healthy38();
+  dump[0].arango.Current.Collections.shop['1015'].s2016.failoverCandidates.push('PRMR-00000003');
+  const result = runTask(['analyze', 'dump.json', '--output-dir=out'],
+    { files: { 'dump.json': dump }, version: '3.8.7' });
+
+  assert.strictEqual(result.status, 1);
+  const fixes = JSON.parse(result.files['out/unplanned-failover.json']);
+  assert.deepStrictEqual(fixes.map((f) => [f.shname, f.correct]), [['s2016', ['PRMR-00000001', 'PRMR-00000002']]]);
+});
+
+test('remediate removes zombie collections of a 3.11 cluster', () => {
+  const dump = fixtures.healthy311();
+  dump[0].arango.Plan.Collections.shop['9999'] = { shards: { s9999: ['PRMR-00000001'] } };
+  const arango = createArango({ dump });
+  const analyzed = runTask(['analyze', '--output-dir=out'], { arango, version });
+  const result = runTask(['remediate', 'out', '--yes'], { arango, version, files: analyzed.files });
+
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(arango.agencyValue('/arango/Plan/Collections/shop/9999'), undefined);
+  assert.match(result.output, /Issue 'zombies' is fixed/);
+});
+
+test('remove-zombies and rollback work with a 3.11 shell', () => {
+  const dump = fixtures.healthy311();
+  const zombie = { shards: { s9999: ['PRMR-00000001'] } };
+  dump[0].arango.Plan.Collections.shop['9999'] = zombie;
+  const arango = createArango({ dump });
+
+  const removed = runTask(['remove-zombies', 'zombies.json', '--yes'], {
+    arango, version, files: { 'zombies.json': [{ database: 'shop', cid: '9999', data: zombie }] }
+  });
+  assert.strictEqual(removed.status, 0);
+  assert.strictEqual(arango.agencyValue('/arango/Plan/Collections/shop/9999'), undefined);
+
+  const rollback = Object.keys(removed.files).find((f) => f.startsWith('rollback-remove-zombies-'));
+  const restored = runTask(['rollback', rollback, '--yes'], {
+    arango, version, files: { [rollback]: removed.files[rollback] }
+  });
+  assert.strictEqual(restored.status, 0);
+  assert.deepStrictEqual(arango.agencyValue('/arango/Plan/Collections/shop/9999'), zombie);
+});
+
+test('create-move-analysis does not move shards of replication 2 databases', () => {
+  const result = runTask(['create-move-analysis', 'dump.json', '--output-dir=out'],
+    { files: { 'dump.json': imbalanced() }, version });
+  const plan = JSON.parse(result.files['out/moveShardsPlan.json']);
+
+  assert.ok(plan.some((job) => job.shard === 's2016'));
+  assert.ok(plan.every((job) => job.database !== 'ledger'));
+});
+
+test('create-move-analysis does not move shards locked by a supervision job', () => {
+  const dump = imbalanced();
+  dump[0].arango.Supervision.Shards = { s2016: '4711' };
+  const result = runTask(['create-move-analysis', 'dump.json', '--output-dir=out'],
+    { files: { 'dump.json': dump }, version });
+  const plan = JSON.parse(result.files['out/moveShardsPlan.json']);
+
+  assert.ok(plan.length > 0);
+  assert.ok(plan.every((job) => job.shard !== 's2016'));
+  assert.match(result.output, /There are optimizations which could not been handled in this run/);
+});
+
+test('execute-move-plan starts the moves of a 3.11 plan', () => {
+  const analysis = runTask(['create-move-analysis', 'dump.json', '--output-dir=out'],
+    { files: { 'dump.json': imbalanced() }, version });
+  const plan = JSON.parse(analysis.files['out/moveShardsPlan.json']);
+  const arango = createArango({
+    dump: fixtures.healthy311(),
+    role: 'COORDINATOR',
+    routes: { 'POST /_admin/cluster/moveShard': { code: 202, id: '5000' } }
+  });
+  const result = runTask(['execute-move-plan', 'plan.json', '--yes'],
+    { arango, version, files: { 'plan.json': plan } });
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, new RegExp('Started ' + plan.length + ' move jobs\\. \\(0 of them failed\\)'));
+  assert.deepStrictEqual(arango.requestsTo('POST', '/_admin/cluster/moveShard').map((r) => r.body), plan);
+});
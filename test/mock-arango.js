@@ -0,0 +1,308 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require, module */
+
+// A scriptable stand-in for the `arango` connection object of arangosh. It
+// serves the agency endpoints from an in-memory agency dump and records all
+// requests, reconnects and agency writes.
+
+const _ = require('lodash');
+
+const splitKey = (key) => key.split('/').filter((x) => x !== '');
+
+const getValue = (store, key) => {
+  let value = store;
+
+  for (const part of splitKey(key)) {
+    if (value === null || typeof value !== 'object' || !_.has(value, part)) {
+      return undefined;
+    }
+    value = value[part];
+  }
+
+  return value;
+};
+
+const setValue = (store, key, value) => {
+  const path = splitKey(key);
+  const last = path.pop();
+  let node = store;
+
+  for (const part of path) {
+    if (node[part] === null || typeof node[part] !== 'object' || Array.isArray(node[part])) {
+      node[part] = {};
+    }
+    node = node[part];
+  }
+
+  if (last === undefined) {
+    Object.keys(store).forEach((k) => delete store[k]);
+    Object.assign(store, value);
+  } else {
+    node[last] = value;
+  }
+};
+
+const deleteValue = (store, key) => {
+  const path = splitKey(key);
+  const last = path.pop();
+  const node = getValue(store, path.join('/'));
+
+  if (node !== null && typeof node === 'object') {
+    delete node[last];
+  }
+};
+
+// checks a single precondition as the agency does
+const checkPrecondition = (store, key, pre) => {
+  const current = getValue(store, key);
+
+  if (pre === null || typeof pre !== 'object' || Array.isArray(pre)) {
+    return _.isEqual(current, pre);
+  }
+  if (_.has(pre, 'oldEmpty')) {
+    return (current === undefined) === (pre.oldEmpty === true);
+  }
+  if (_.has(pre, 'old')) {
+    return _.isEqual(current, pre.old);
+  }
+  if (_.has(pre, 'isArray')) {
+    return Array.isArray(current) === (pre.isArray === true);
+  }
+  if (_.has(pre, 'in')) {
+    return Array.isArray(current) && _.some(current, (x) => _.isEqual(x, pre.in));
+  }
+  if (_.has(pre, 'notin')) {
+    return !Array.isArray(current) || !_.some(current, (x) => _.isEqual(x, pre.notin));
+  }
+
+  return _.isEqual(current, pre);
+};
+
+const applyOperation = (store, key, op) => {
+  if (op === null || typeof op !== 'object' || Array.isArray(op) || !_.has(op, 'op')) {
+    setValue(store, key, _.cloneDeep(op));
+    return;
+  }
+
+  const current = getValue(store, key);
+
+  switch (op.op) {
+  case 'set':
+    setValue(store, key, _.cloneDeep(op.new));
+    break;
+  case 'delete':
+    deleteValue(store, key);
+    break;
+  case 'increment':
+    setValue(store, key, (current || 0) + (op.step || 1));
+    break;
+  case 'decrement':
+    setValue(store, key, (current || 0) - (op.step || 1));
+    break;
+  case 'push':
+    setValue(store, key, (Array.isArray(current) ? current : []).concat([_.cloneDeep(op.new)]));
+    break;
+  case 'erase':
+    setValue(store, key, (Array.isArray(current) ? current : []).filter((x) => !_.isEqual(x, op.val)));
+    break;
+  default:
+    throw new Error("mock agency does not support operation '" + op.op + "'");
+  }
+};
+
+const parseBody = (body) => {
+  if (typeof body === 'string') {
+    return JSON.parse(body);
+  }
+  return body;
+};
+
+const ok = (body) => ({ code: 200, error: false, parsedBody: body, headers: {} });
+
+const notFound = (method, url) => ({
+  code: 404,
+  error: true,
+  parsedBody: {
+    error: true,
+    code: 404,
+    errorNum: 404,
+    errorMessage: "mock has no handler for " + method + " " + url
+  },
+  headers: {}
+});
+
+/*
+ * options:
+ *   dump:      agency dump as written by the `dump` task, or the agency
+ *              store, i.e. the object containing `arango`
+ *   version:   server version reported by `/_admin/version`
+ *   license:   "enterprise" (default) or "community"
+ *   role:      role reported by `db._version(true)` (default "AGENT")
+ *   roles:     role per endpoint, applied on `reconnect`
+ *   endpoint:  initial endpoint
+ *   connected: false to start like `--server.endpoint none`
+ *   config:    response of `/_api/agency/config`
+ *   stores:    response of `/_api/agency/stores`
+ *   routes:    { "METHOD /url": value or function (body, url, mock) }, these
+ *              take precedence over the built-in handlers
+ */
+const createArango = (options = {}) => {
+  const dump = Array.isArray(options.dump) ? options.dump[0] : options.dump;
+  const mock = {
+    store: _.cloneDeep(dump || { arango: {} }),
+    version: options.version || "3.7.10",
+    license: options.license || "enterprise",
+    role: options.role || "AGENT",
+    roles: options.roles || {},
+    endpoint: options.endpoint || "tcp://127.0.0.1:8531",
+    connected: options.connected !== false,
+    routes: options.routes || {},
+    requests: [],
+    writes: [],
+    reconnects: [],
+    raftIndex: 100
+  };
+
+  const agencyConfig = () => options.config || {
+    term: 1,
+    leaderId: "AGNT-00000001",
+    configuration: {
+      id: "AGNT-00000001",
+      active: ["AGNT-00000001"],
+      pool: { "AGNT-00000001": mock.endpoint }
+    }
+  };
+
+  const agencyRead = (body) => body.map((paths) => {
+    const result = {};
+    paths.forEach((path) => {
+      const value = getValue(mock.store, path);
+      if (value !== undefined) {
+        if (splitKey(path).length === 0) {
+          Object.assign(result, _.cloneDeep(value));
+        } else {
+          setValue(result, path, _.cloneDeep(value));
+        }
+      }
+    });
+    return result;
+  });
+
+  const agencyWrite = (body) => {
+    const results = body.map((trx) => {
+      const [oper, prec] = trx;
+      const good = _.every(prec || {}, (pre, key) => checkPrecondition(mock.store, key, pre));
+
+      mock.writes.push({ transaction: trx, applied: good });
+
+      if (!good) {
+        return 0;
+      }
+
+      _.each(oper, (op, key) => applyOperation(mock.store, key, op));
+      return ++mock.raftIndex;
+    });
+
+    const failed = results.indexOf(0) !== -1;
+    return {
+      code: failed ? 412 : 200,
+      error: false,
+      parsedBody: { results },
+      headers: {}
+    };
+  };
+
+  const handle = (method, url, body) => {
+    const route = mock.routes[method + " " + url];
+
+    if (route !== undefined) {
+      const value = typeof route === 'function' ? route(body, url, mock) : route;
+      if (value && value.code !== undefined && value.parsedBody !== undefined) {
+        return value;
+      }
+      return ok(value);
+    }
+
+    if (method === 'GET' && url === '/_admin/version') {
+      return ok({ server: "arango", version: mock.version, license: mock.license });
+    }
+    if (method === 'POST' && url === '/_api/agency/read') {
+      return ok(agencyRead(body));
+    }
+    if (method === 'POST' && url === '/_api/agency/write') {
+      return agencyWrite(body);
+    }
+    if (method === 'GET' && url === '/_api/agency/config') {
+      return ok(agencyConfig());
+    }
+    if (method === 'GET' && url === '/_api/agency/stores') {
+      return ok(options.stores || { read_db: [{}, {}, []] });
+    }
+
+    return notFound(method, url);
+  };
+
+  const request = (method, raw) => (url, body) => {
+    const parsed = parseBody(body);
+    mock.requests.push({ method, url, body: parsed, endpoint: mock.endpoint });
+
+    const response = handle(method, url, parsed);
+
+    if (raw) {
+      return response;
+    }
+    return response.parsedBody;
+  };
+
+  ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'].forEach((method) => {
+    mock[method] = request(method, false);
+    mock[method + '_RAW'] = request(method, true);
+  });
+
+  mock.isConnected = () => mock.connected;
+  mock.getEndpoint = () => mock.endpoint;
+  mock.reconnect = (endpoint, database, username, password) => {
+    mock.reconnects.push({ endpoint, database, username, password });
+    mock.endpoint = endpoint;
+    mock.connected = true;
+    if (mock.roles[endpoint] !== undefined) {
+      mock.role = mock.roles[endpoint];
+    }
+  };
+
+  // requests recorded for the given method and url
+  mock.requestsTo = (method, url) => mock.requests.filter((r) => r.method === method && r.url === url);
+
+  // value currently stored in the mock agency
+  mock.agencyValue = (key) => getValue(mock.store, key);
+
+  return mock;
+};
+
+// A minimal `db` object bound to a mock connection.
+const createDb = (arango, overrides = {}) => {
+  let current = "_system";
+
+  return Object.assign({
+    _version: (details) => {
+      const version = { server: "arango", version: arango.version, license: arango.license };
+      if (details) {
+        version.details = { role: arango.role };
+      }
+      return version;
+    },
+    _databases: () => Object.keys(arango.agencyValue('/arango/Plan/Databases') || {}),
+    _useDatabase: (name) => {
+      current = name;
+      return true;
+    },
+    _name: () => current,
+    _properties: () => _.extend({ name: current }, arango.agencyValue('/arango/Plan/Databases/' + current))
+  }, overrides);
+};
+
+module.exports = {
+  createArango,
+  createDb,
+  getValue
+};
@@ -0,0 +1,52 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask, analyzeDump, createArango } = require('./harness');
+const fixtures = require('./fixtures');
+
+const locks = () => analyzeDump(fixtures.orphanedLocks()).outputFile('orphaned-locks.json');
+
+test('analyze finds locks of jobs which are not running', () => {
+  const result = analyzeDump(fixtures.orphanedLocks());
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.output, /Your cluster has orphaned supervision locks/);
+  assert.deepStrictEqual(result.outputFile('orphaned-locks.json').map((l) => [l.key, l.jobId, l.jobState]), [
+    ['arango/Supervision/Shards/s2016', '2001', 'Finished'],
+    ['arango/Supervision/DBServers/PRMR-00000002', '2002', undefined]
+  ]);
+});
+
+test('release-stale-locks deletes the orphaned locks', () => {
+  const arango = createArango({ dump: fixtures.orphanedLocks() });
+  const result = runTask(['release-stale-locks', 'locks.json', '--yes'], { arango, files: { 'locks.json': locks() } });
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /2 applied, 0 skipped \(precondition\), 0 errors/);
+  assert.strictEqual(arango.agencyValue('/arango/Supervision/Shards/s2016'), undefined);
+  assert.strictEqual(arango.agencyValue('/arango/Supervision/DBServers/PRMR-00000002'), undefined);
+  assert.strictEqual(arango.agencyValue('/arango/Supervision/Shards/s2015'), '2003');
+});
+
+test('release-stale-locks keeps a lock whose job is running again', () => {
+  const dump = fixtures.orphanedLocks();
+  dump[0].arango.Target.Pending['2002'] = { type: 'cleanOutServer', jobId: '2002', server: 'PRMR-00000002' };
+  const arango = createArango({ dump });
+  const result = runTask(['release-stale-locks', 'locks.json', '--yes'], { arango, files: { 'locks.json': locks() } });
+
+  assert.strictEqual(result.status, 3);
+  assert.match(result.output, /1 applied, 1 skipped \(precondition\), 0 errors/);
+  assert.strictEqual(arango.agencyValue('/arango/Supervision/DBServers/PRMR-00000002'), '2002');
+});
+
+test('release-stale-locks reports corrupted entries', () => {
+  const arango = createArango({ dump: fixtures.orphanedLocks() });
+  const result = runTask(['release-stale-locks', 'locks.json', '--yes'],
+    { arango, files: { 'locks.json': [{ key: 'arango/Plan/Version', jobId: '2001' }] } });
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /ERROR: corrupted entry in orphaned locks file/);
+  assert.strictEqual(arango.requestsTo('POST', '/_api/agency/write').length, 0);
+});
@@ -0,0 +1,64 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require, process */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { runTask } = require('./harness');
+const fixtures = require('./fixtures');
+
+const withProfiles = (profiles, callback) => {
+  const file = path.join(os.tmpdir(), 'cluster-maintenance-' + process.pid + '.json');
+  fs.writeFileSync(file, JSON.stringify(profiles));
+  process.env.CLUSTER_MAINTENANCE_PROFILES = file;
+  process.env.TEST_CLUSTER_PASSWORD = 'secret';
+
+  try {
+    return callback();
+  } finally {
+    delete process.env.CLUSTER_MAINTENANCE_PROFILES;
+    delete process.env.TEST_CLUSTER_PASSWORD;
+    fs.unlinkSync(file);
+  }
+};
+
+// show-supervision needs the state of the supervision
+const dump = () => {
+  const result = fixtures.healthy();
+  result[0].arango.Supervision.State = { Mode: 'Normal', Timestamp: '2021-01-20T10:00:00Z' };
+  return result;
+};
+
+const profiles = {
+  test: {
+    agents: ['tcp://agent1:8531', 'tcp://agent2:8531'],
+    coordinators: ['tcp://coordinator1:8529'],
+    username: 'admin',
+    secret: { env: 'TEST_CLUSTER_PASSWORD' }
+  }
+};
+
+test('--profile connects to the first agent of the profile', () => {
+  const result = withProfiles(profiles, () => runTask(['--profile', 'test', 'show-supervision'], {
+    arango: { dump: dump(), connected: false }
+  }));
+
+  assert.strictEqual(result.status, 0);
+  assert.deepStrictEqual(result.arango.reconnects[0], {
+    endpoint: 'tcp://agent1:8531',
+    database: '_system',
+    username: 'admin',
+    password: 'secret'
+  });
+});
+
+test('--profile fails for an unknown profile', () => {
+  const result = withProfiles(profiles, () => runTask(['--profile=prod', 'show-supervision'], {
+    arango: { dump: dump(), connected: false }
+  }));
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /Unknown profile 'prod'/);
+});
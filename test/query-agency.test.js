@@ -0,0 +1,64 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask, createArango } = require('./harness');
+const fixtures = require('./fixtures');
+
+test('query-agency prints the keys of a dump matching a path', () => {
+  const result = runTask(['query-agency', 'arango/Current/Collections/*/*/s201?/servers', 'dump.json'],
+    { files: { 'dump.json': fixtures.healthy() } });
+
+  assert.strictEqual(result.status, 0);
+  assert.ok(result.lines.includes('/arango/Current/Collections/shop/1015/s2015/servers = ["PRMR-00000003","PRMR-00000001"]'));
+  assert.ok(result.lines.includes('  # 1015 = orders, PRMR-00000003 = DBServer0003, PRMR-00000001 = DBServer0001'));
+  assert.match(result.output, /INFO: 8 matching key\(s\)/);
+});
+
+test('query-agency reads the live agency below the path without wildcards', () => {
+  const arango = createArango({ dump: fixtures.healthy() });
+  const result = runTask(['query-agency', '/arango/Plan/Collections/shop/*/name', '--output', 'json'], { arango });
+
+  assert.strictEqual(result.status, 0);
+  const reads = arango.requestsTo('POST', '/_api/agency/read').map((r) => r.body);
+  assert.ok(reads.some((body) => JSON.stringify(body) === '[["/arango/Plan/Collections/shop"]]'));
+
+  const matches = JSON.parse(result.output).results.find((r) => r.name === 'matches').value;
+  assert.ok(matches.some((m) => m.path === '/arango/Plan/Collections/shop/1015/name' && m.value === 'orders'));
+});
+
+test('query-agency needs a path unless interactive', () => {
+  const result = runTask(['query-agency', '--agency-dump=dump.json'], { files: { 'dump.json': fixtures.healthy() } });
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /Give a path to query or use --interactive/);
+});
+
+test('query-agency browses the agency interactively', () => {
+  const result = runTask(['query-agency', 'arango/Plan', 'dump.json', '--interactive'], {
+    files: { 'dump.json': fixtures.healthy() },
+    answers: ['ls', 'cd Collections/shop', 'ls', 'cat 1015/shards/s2015', 'cd ../..', 'pwd', 'cd Version', 'foo', 'exit']
+  });
+
+  assert.strictEqual(result.status, 0);
+  assert.ok(result.lines.includes('agency:/arango/Plan> '));
+  assert.ok(result.lines.includes('  Collections/'));
+  assert.ok(result.lines.includes('  1015 (orders)/'));
+  assert.ok(result.lines.includes('/arango/Plan/Collections/shop/1015/shards/s2015 = ["PRMR-00000003","PRMR-00000001"]'));
+  assert.ok(result.lines.includes('/arango/Plan'));
+  assert.ok(result.lines.includes('not a directory: /arango/Plan/Version'));
+  assert.ok(result.lines.includes("unknown command 'foo', use ls, cd, cat, pwd or exit"));
+});
+
+test('query-agency reports an unreadable cluster health of a coordinator', () => {
+  const arango = createArango({
+    dump: fixtures.healthy(),
+    role: 'COORDINATOR',
+    routes: { 'GET /_admin/cluster/health': { code: 503, error: true, errorMessage: 'service unavailable' } }
+  });
+  const result = runTask(['query-agency', '/arango/Plan/Version'], { arango });
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /Cannot read '\/_admin\/cluster\/health', got: \{"code":503/);
+});
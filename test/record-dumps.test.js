@@ -0,0 +1,116 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask, createArango } = require('./harness');
+const fixtures = require('./fixtures');
+
+const agentA = 'tcp://127.0.0.1:8531';
+const agentB = 'tcp://127.0.0.1:8541';
+
+const error = { code: 503, error: true, errorNum: 503, errorMessage: 'service unavailable' };
+const ok = (value) => ({ code: 200, error: false, parsedBody: value, headers: {} });
+
+/*
+ * agency of two agents, `state.mode` decides how agent A answers:
+ *   leader:   A is the leader
+ *   follower: A redirects to B
+ *   down:     A fails
+ *   all-down: both fail
+ * The mode is switched after each completed dump, which reads the agency
+ * configuration last.
+ */
+const createAgency = (modes) => {
+  const state = { mode: modes.shift() };
+  const arango = createArango({
+    dump: fixtures.healthy(),
+    endpoint: agentA,
+    roles: { [agentA]: 'AGENT', [agentB]: 'AGENT' },
+    routes: {
+      'POST /_api/agency/read': (body, url, mock) => {
+        if (state.mode === 'all-down' || (state.mode === 'down' && mock.endpoint === agentA)) {
+          return { code: 503, error: true, errorMessage: 'service unavailable', parsedBody: error, headers: {} };
+        }
+        if (state.mode === 'follower' && mock.endpoint === agentA) {
+          return { code: 307, error: false, parsedBody: {}, headers: { location: agentB + url } };
+        }
+        return ok(body.map(() => mock.store));
+      },
+      'GET /_api/agency/config': () => {
+        state.mode = modes.length > 0 ? modes.shift() : state.mode;
+        return { configuration: { pool: { 'AGNT-A': agentA, 'AGNT-B': agentB } } };
+      }
+    }
+  });
+  return arango;
+};
+
+const dumpFiles = (result) => Object.keys(result.files).filter((f) => /^dumps\/agency-dump-.*\.json\.gz$/.test(f)).sort();
+
+const recording = (result) => result.files['dumps/recording.jsonl'].trim().split('\n').map(JSON.parse);
+
+test('record-dumps takes compressed dumps at the interval', () => {
+  const arango = createAgency(['leader']);
+  const result = runTask(['record-dumps', '--output-dir=dumps', '--interval=30', '--count=3'], { arango });
+
+  assert.strictEqual(result.status, 0);
+  assert.deepStrictEqual(result.waits, [30, 30]);
+  const files = dumpFiles(result);
+  assert.strictEqual(files.length, 3);
+  assert.ok(JSON.parse(result.files[files[0]])[0].arango.Plan);
+  assert.match(result.output, /INFO: wrote 3 dump\(s\) to '.*dumps', 0 gap\(s\)/);
+});
+
+test('record-dumps follows a leader change and reports gaps', () => {
+  const arango = createAgency(['leader', 'follower', 'all-down']);
+  const result = runTask(['record-dumps', '--output-dir=dumps', '--count=3'], { arango });
+
+  assert.strictEqual(result.status, 1);
+  assert.strictEqual(dumpFiles(result).length, 2);
+  assert.match(result.output, new RegExp('agency leader changed from ' + agentA + ' to ' + agentB));
+  assert.match(result.output, /WARNING: .* no agency leader reachable, gap in the recording/);
+
+  const log = recording(result);
+  assert.deepStrictEqual(log.map((e) => e.endpoint || 'gap'), [agentA, agentB, 'gap']);
+});
+
+test('record-dumps tries the other agents if the connected one fails', () => {
+  const arango = createAgency(['leader', 'down']);
+  const result = runTask(['record-dumps', '--output-dir=dumps', '--count=2'], { arango });
+
+  assert.strictEqual(result.status, 0);
+  assert.deepStrictEqual(recording(result).map((e) => e.endpoint), [agentA, agentB]);
+});
+
+test('record-dumps removes dumps by count and age', () => {
+  const arango = createAgency(['leader']);
+  const hourAgo = new Date(Date.now() - 3600 * 1000).toISOString().replace(/[:.]/g, '-');
+  const twoDaysAgo = new Date(Date.now() - 48 * 3600 * 1000).toISOString().replace(/[:.]/g, '-');
+  const files = {
+    ['dumps/agency-dump-' + twoDaysAgo + '.json.gz']: 'old',
+    ['dumps/agency-dump-' + hourAgo + '.json.gz']: 'recent',
+    'dumps/notes.txt': 'kept'
+  };
+  const result = runTask(['record-dumps', '--output-dir=dumps', '--count=2', '--keep=2', '--max-age=24'],
+    { arango, files });
+
+  assert.strictEqual(result.status, 0);
+  const kept = dumpFiles(result);
+  assert.strictEqual(kept.length, 2);
+  assert.ok(kept.every((f) => f.indexOf(twoDaysAgo) === -1 && f.indexOf(hourAgo) === -1));
+  assert.strictEqual(result.files['dumps/notes.txt'], 'kept');
+  assert.deepStrictEqual(recording(result).map((e) => e.removed.length), [1, 1]);
+});
+
+test('record-dumps fails if it cannot remove old dumps', () => {
+  const arango = createAgency(['leader']);
+  const twoDaysAgo = new Date(Date.now() - 48 * 3600 * 1000).toISOString().replace(/[:.]/g, '-');
+  const files = { ['dumps/agency-dump-' + twoDaysAgo + '.json.gz/notes.txt']: 'not a dump' };
+  const result = runTask(['record-dumps', '--output-dir=dumps', '--count=2', '--max-age=24'], { arango, files });
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /FATAL: cannot remove old dumps from 'dumps'/);
+  assert.doesNotMatch(result.output, /gap in the recording/);
+  assert.deepStrictEqual(result.waits, []);
+});
@@ -0,0 +1,115 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const _ = require('lodash');
+const { runTask, createArango } = require('./harness');
+const fixtures = require('./fixtures');
+
+const coordinator = 'tcp://127.0.0.1:8530';
+const agent = 'tcp://127.0.0.1:8531';
+
+// zombie collection and zombie coordinator in one cluster
+const twoIssues = () => {
+  const dump = fixtures.zombieCollection();
+  dump[0].arango.Current.Coordinators['CRDN-deadbeef'] = 'none';
+  return dump;
+};
+
+// runs analyze against the mock and returns the files of the result set
+const analyzeFiles = (arango) => {
+  const result = runTask(['analyze', '--output-dir=out'], { arango });
+  assert.strictEqual(result.status, 1);
+  return _.pickBy(result.files, (content, name) => name.startsWith('out/'));
+};
+
+const remediate = (arango, files, options = {}) => runTask(
+  ['remediate', 'out'].concat(options.args || []),
+  Object.assign({ arango, files }, options));
+
+test('remediate runs the steps in order and verifies the fixes', () => {
+  const arango = createArango({ dump: twoIssues() });
+  const result = remediate(arango, analyzeFiles(arango), { answers: ['yes', 'yes'] });
+
+  assert.strictEqual(result.status, 0);
+  assert.ok(result.output.indexOf('remove-zombie-coordinators') < result.output.indexOf('remove-zombies'));
+  assert.strictEqual(arango.agencyValue('/arango/Current/Coordinators/CRDN-deadbeef'), undefined);
+  assert.strictEqual(arango.agencyValue('/arango/Plan/Collections/shop/9999'), undefined);
+  assert.match(result.output, /Issue 'zombie-coordinators' is fixed/);
+  assert.match(result.output, /Issue 'zombies' is fixed/);
+  // the zombie also lacked a sharding strategy
+  assert.match(result.output, /issue 'sharding-strategy' is no longer reported/);
+
+  const journal = result.files['maintenance-journal.jsonl'].trim().split('\n').map(JSON.parse);
+  assert.deepStrictEqual(journal.map((e) => e.task), ['remove-zombie-coordinators', 'remove-zombies']);
+});
+
+test('remediate skips a step that is not confirmed', () => {
+  const arango = createArango({ dump: twoIssues() });
+  const result = remediate(arango, analyzeFiles(arango), { answers: ['no', 'yes'] });
+
+  assert.strictEqual(result.status, 1);
+  assert.ok(arango.agencyValue('/arango/Current/Coordinators/CRDN-deadbeef'));
+  assert.strictEqual(arango.agencyValue('/arango/Plan/Collections/shop/9999'), undefined);
+  assert.match(result.output, /INFO: skipping remove-zombie-coordinators/);
+});
+
+test('remediate shows the changes of a step before asking and verifies only its check', () => {
+  const arango = createArango({ dump: twoIssues() });
+  const files = analyzeFiles(arango);
+  const result = remediate(arango, files, { answers: ['yes', 'yes'] });
+
+  assert.strictEqual(result.status, 0);
+  assert.ok(result.output.indexOf('About to apply') < result.output.indexOf("Type 'yes' to continue"));
+  assert.doesNotMatch(result.output, /already confirmed/);
+  assert.ok(JSON.parse(files['out/manifest.json']).files.some((f) => f.check === 'zombieCoordinators'));
+  // the zombie collection was still there, but not looked for
+  assert.strictEqual(result.files['out/verify-1/manifest.json'], undefined);
+  assert.match(result.output, /Issue 'zombie-coordinators' is fixed/);
+});
+
+test('remediate does not change anything in dry-run mode', () => {
+  const arango = createArango({ dump: twoIssues() });
+  const files = analyzeFiles(arango);
+  const writes = arango.writes.length;
+  const result = remediate(arango, files, { args: ['--dry-run'] });
+
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(arango.writes.length, writes);
+  assert.ok(arango.agencyValue('/arango/Plan/Collections/shop/9999'));
+});
+
+test('remediate switches to a coordinator for missing collections', () => {
+  const arango = createArango({
+    dump: fixtures.missingSystemCollection(),
+    roles: { [coordinator]: 'COORDINATOR', [agent]: 'AGENT' },
+    routes: {
+      'GET /_admin/cluster/health': {
+        code: 200,
+        Health: { 'AGNT-00000001': { Role: 'Agent', Status: 'GOOD', Endpoint: agent } }
+      }
+    }
+  });
+  const created = [];
+  const db = {
+    _create: (name) => {
+      created.push([arango.role, name]);
+      const collections = arango.agencyValue('/arango/Plan/Collections/shop');
+      const graphs = _.find(collections, (c) => c.name === '_graphs');
+      collections['8888'] = _.extend(_.cloneDeep(graphs), { id: '8888', name: name });
+    }
+  };
+  const result = remediate(arango, analyzeFiles(arango), { answers: ['yes'], db });
+
+  assert.strictEqual(result.status, 0);
+  assert.deepStrictEqual(created, [['COORDINATOR', '_jobs']]);
+  assert.match(result.output, /Issue 'missing-system-collections' is fixed/);
+});
+
+test('remediate fails without the manifest of an analyze run', () => {
+  const result = remediate(createArango(), {});
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /FATAL: Can not read file/);
+});
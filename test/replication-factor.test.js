@@ -0,0 +1,117 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const _ = require('lodash');
+const { runTask, analyzeDump, createArango } = require('./harness');
+const fixtures = require('./fixtures');
+
+const analyzedEntries = () => analyzeDump(fixtures.replicationFactorTooHigh()).outputFile('replication-factor.json');
+
+test('analyze finds collections with more copies than healthy DBServers', () => {
+  const result = analyzeDump(fixtures.replicationFactorTooHigh());
+  const entries = result.outputFile('replication-factor.json');
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.output, /collections with a replicationFactor or writeConcern above the 2 healthy DBServer/);
+  assert.deepStrictEqual(entries.map((e) => [e.database, e.name]), [['shop', 'orders']]);
+  assert.strictEqual(entries[0].writesBlocked, true);
+  assert.strictEqual(entries[0].newReplicationFactor, 2);
+  assert.strictEqual(entries[0].newWriteConcern, 2);
+  assert.deepStrictEqual(entries[0].shards.s2015.unhealthy, ['PRMR-00000003']);
+
+  const manifest = JSON.parse(result.files['out/manifest.json']);
+  assert.strictEqual(manifest.files.find((f) => f.issue === 'replication-factor').task, 'repair-replication-factor');
+});
+
+test('repair-replication-factor lowers the values to the healthy DBServers', () => {
+  const arango = createArango({ dump: fixtures.replicationFactorTooHigh() });
+  const result = runTask(['repair-replication-factor', 'rf.json', '--yes'],
+    { arango, files: { 'rf.json': analyzedEntries() } });
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /1 applied, 0 skipped \(precondition\), 0 errors/);
+  assert.strictEqual(arango.agencyValue('/arango/Plan/Collections/shop/1015/replicationFactor'), 2);
+  assert.strictEqual(arango.agencyValue('/arango/Plan/Collections/shop/1015/writeConcern'), 2);
+  assert.strictEqual(arango.agencyValue('/arango/Plan/Collections/shop/1015/minReplicationFactor'), 2);
+  assert.ok(Object.keys(result.files).some((f) => f.startsWith('rollback-repair-replication-factor-')));
+});
+
+test('repair-replication-factor restores the values once the DBServers are back', () => {
+  const dump = fixtures.healthy();
+  Object.assign(dump[0].arango.Plan.Collections.shop['1015'],
+    { replicationFactor: 2, writeConcern: 2, minReplicationFactor: 2 });
+  const arango = createArango({ dump });
+  const result = runTask(['repair-replication-factor', 'rf.json', '--action=restore', '--yes'],
+    { arango, files: { 'rf.json': analyzedEntries() } });
+
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(arango.agencyValue('/arango/Plan/Collections/shop/1015/replicationFactor'), 3);
+  assert.strictEqual(arango.agencyValue('/arango/Plan/Collections/shop/1015/writeConcern'), 3);
+});
+
+test('repair-replication-factor does not restore while DBServers are missing', () => {
+  const arango = createArango({ dump: fixtures.replicationFactorTooHigh() });
+  const result = runTask(['repair-replication-factor', 'rf.json', '--action=restore', '--yes'],
+    { arango, files: { 'rf.json': analyzedEntries() } });
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /WARNING: not restoring shop\/orders, its writeConcern 3 exceeds the 2 healthy DBServer/);
+  assert.strictEqual(arango.requestsTo('POST', '/_api/agency/write').length, 0);
+});
+
+test('repair-replication-factor reports corrupted entries', () => {
+  const entries = analyzedEntries();
+  delete entries[0].newReplicationFactor;
+  const arango = createArango({ dump: fixtures.replicationFactorTooHigh() });
+  const result = runTask(['repair-replication-factor', 'rf.json', '--yes'], { arango, files: { 'rf.json': entries } });
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /ERROR: corrupted entry in replication factor file/);
+  assert.strictEqual(arango.requestsTo('POST', '/_api/agency/write').length, 0);
+});
+
+test('repair-replication-factor changes a prototype and its followers together', () => {
+  const addFollower = (dump) => {
+    const arango = dump[0].arango;
+    const rename = (shards) => _.mapKeys(shards, (value, shard) => shard.replace('s2', 's3'));
+    arango.Plan.Collections.shop['1016'] = Object.assign(_.cloneDeep(arango.Plan.Collections.shop['1015']),
+      { id: '1016', name: 'items', distributeShardsLike: '1015' });
+    arango.Plan.Collections.shop['1016'].shards = rename(arango.Plan.Collections.shop['1016'].shards);
+    arango.Current.Collections.shop['1016'] = rename(_.cloneDeep(arango.Current.Collections.shop['1015']));
+    return dump;
+  };
+  const entries = analyzeDump(addFollower(fixtures.replicationFactorTooHigh())).outputFile('replication-factor.json');
+  assert.deepStrictEqual(entries.map((e) => [e.name, e.distributeShardsLike]), [['orders', undefined], ['items', '1015']]);
+
+  const arango = createArango({ dump: addFollower(fixtures.replicationFactorTooHigh()) });
+  const result = runTask(['repair-replication-factor', 'rf.json', '--yes'], { arango, files: { 'rf.json': entries } });
+
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(arango.writes.length, 1);
+  assert.match(result.output, /1 applied, 0 skipped \(precondition\), 0 errors/);
+  assert.strictEqual(arango.agencyValue('/arango/Plan/Collections/shop/1015/replicationFactor'), 2);
+  assert.strictEqual(arango.agencyValue('/arango/Plan/Collections/shop/1016/replicationFactor'), 2);
+
+  delete entries[1].newWriteConcern;
+  const skipped = createArango({ dump: addFollower(fixtures.replicationFactorTooHigh()) });
+  const partial = runTask(['repair-replication-factor', 'rf.json', '--yes'],
+    { arango: skipped, files: { 'rf.json': entries } });
+
+  assert.strictEqual(partial.status, 2);
+  assert.match(partial.output, /WARNING: not changing shop\/orders, shop\/items, they share their shards/);
+  assert.strictEqual(skipped.requestsTo('POST', '/_api/agency/write').length, 0);
+});
+
+test('repair-replication-factor does not restore a replicationFactor above the healthy DBServers', () => {
+  const entries = analyzedEntries();
+  Object.assign(entries[0], { writeConcern: 1, newWriteConcern: 1 });
+  const arango = createArango({ dump: fixtures.replicationFactorTooHigh() });
+  const result = runTask(['repair-replication-factor', 'rf.json', '--action=restore', '--yes'],
+    { arango, files: { 'rf.json': entries } });
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /WARNING: not restoring shop\/orders, its replicationFactor 3 exceeds the 2 healthy DBServer/);
+  assert.strictEqual(arango.requestsTo('POST', '/_api/agency/write').length, 0);
+});
@@ -0,0 +1,79 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask, analyzeDump, createArango } = require('./harness');
+const fixtures = require('./fixtures');
+
+test('analyze finds duplicate and unknown servers of shards', () => {
+  const result = analyzeDump(fixtures.invalidShardServerLists());
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.output, /Your cluster has duplicate or unknown servers in the server lists of shards/);
+
+  const entries = result.outputFile('shard-server-lists.json');
+  assert.deepStrictEqual(entries.map((e) => [e.shard, e.location, e.correct, e.duplicates, e.unknown]), [
+    ['s2016', 'Plan', ['PRMR-00000001', 'PRMR-00000002'], ['PRMR-00000002'], []],
+    ['s2017', 'Current', ['PRMR-00000002', 'PRMR-00000003'], [], ['PRMR-cafecafe']]
+  ]);
+});
+
+test('repair-shard-server-lists writes the corrected lists', () => {
+  const entries = analyzeDump(fixtures.invalidShardServerLists()).outputFile('shard-server-lists.json');
+  const arango = createArango({ dump: fixtures.invalidShardServerLists() });
+  const result = runTask(['repair-shard-server-lists', 'lists.json', '--yes'],
+    { arango, files: { 'lists.json': entries } });
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /2 applied, 0 skipped \(precondition\), 0 errors/);
+  assert.deepStrictEqual(arango.agencyValue('/arango/Plan/Collections/shop/1015/shards/s2016'),
+    ['PRMR-00000001', 'PRMR-00000002']);
+  assert.deepStrictEqual(arango.agencyValue('/arango/Current/Collections/shop/1015/s2017/servers'),
+    ['PRMR-00000002', 'PRMR-00000003']);
+});
+
+test('repair-shard-server-lists keeps an unknown leader', () => {
+  const dump = fixtures.healthy();
+  dump[0].arango.Plan.Collections.shop['1015'].shards.s2015 = ['PRMR-cafecafe', 'PRMR-00000001', 'PRMR-00000001'];
+  const entries = analyzeDump(dump).outputFile('shard-server-lists.json');
+  const plan = entries.find((e) => e.location === 'Plan');
+
+  assert.strictEqual(plan.leaderUnknown, true);
+  assert.deepStrictEqual(plan.correct, ['PRMR-cafecafe', 'PRMR-00000001']);
+
+  const arango = createArango({ dump });
+  const result = runTask(['repair-shard-server-lists', 'lists.json', '--yes'],
+    { arango, files: { 'lists.json': [plan] } });
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /WARNING: keeping the unknown leader PRMR-cafecafe of shop\/orders\/s2015 \(Plan\)/);
+  assert.deepStrictEqual(arango.agencyValue('/arango/Plan/Collections/shop/1015/shards/s2015'),
+    ['PRMR-cafecafe', 'PRMR-00000001']);
+});
+
+test('repair-shard-server-lists reports corrupted entries', () => {
+  const entries = analyzeDump(fixtures.invalidShardServerLists()).outputFile('shard-server-lists.json');
+  const arango = createArango({ dump: fixtures.invalidShardServerLists() });
+  const result = runTask(['repair-shard-server-lists', 'lists.json', '--yes'],
+    { arango, files: { 'lists.json': [entries[0], { location: 'Plan', shard: 's2016' }] } });
+
+  assert.strictEqual(result.status, 3);
+  assert.match(result.output, /ERROR: corrupted entry in shard server lists file/);
+  assert.match(result.output, /1 applied, 0 skipped \(precondition\), 0 errors/);
+
+  const corrupted = runTask(['repair-shard-server-lists', 'lists.json', '--yes'],
+    { arango, files: { 'lists.json': [{ location: 'Plan', shard: 's2016' }] } });
+  assert.strictEqual(corrupted.status, 2);
+  assert.strictEqual(arango.requestsTo('POST', '/_api/agency/write').length, 1);
+});
+
+test('analyze treats a resigned leader and its server as the same server', () => {
+  const dump = fixtures.healthy();
+  dump[0].arango.Current.Collections.shop['1015'].s2016.servers = ['_PRMR-00000001', 'PRMR-00000002', 'PRMR-00000001'];
+  const entries = analyzeDump(dump).outputFile('shard-server-lists.json');
+
+  assert.deepStrictEqual(entries.map((e) => [e.shard, e.location, e.correct, e.duplicates, e.unknown]), [
+    ['s2016', 'Current', ['_PRMR-00000001', 'PRMR-00000002'], ['PRMR-00000001'], []]
+  ]);
+});
@@ -0,0 +1,127 @@
+/* jshint globalstrict:false, strict:false, sub: true, esversion: 9 */
+/* global require */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runTask, analyzeDump, createArango } = require('./harness');
+const fixtures = require('./fixtures');
+
+const stuckJobs = (args) => analyzeDump(fixtures.stuckJobs(), args).outputFile('stuck-jobs.json');
+
+test('analyze finds old jobs and jobs of unknown servers', () => {
+  const result = analyzeDump(fixtures.stuckJobs());
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.output, /Your cluster has stuck supervision jobs/);
+
+  const jobs = result.outputFile('stuck-jobs.json');
+  assert.deepStrictEqual(jobs.map((j) => [j.jobId, j.state, j.reasons]), [
+    ['1002', 'ToDo', ['waiting for 90 minutes']],
+    ['1001', 'Pending', ['running for 120 minutes', 'server PRMR-cafecafe is unknown']]
+  ]);
+  assert.deepStrictEqual(jobs[1].locks, [{ jobId: '1001', key: 'arango/Supervision/Shards/s2015', value: '1001' }]);
+});
+
+test('analyze takes the age of stuck jobs from --max-job-age', () => {
+  const jobs = stuckJobs(['--max-job-age=100']);
+
+  assert.deepStrictEqual(jobs.map((j) => j.jobId), ['1001']);
+});
+
+test('abort-jobs moves the selected job to Failed and releases its locks', () => {
+  const jobs = stuckJobs();
+  const arango = createArango({ dump: fixtures.stuckJobs() });
+  const result = runTask(['abort-jobs', 'jobs.json', '--job-ids=1001', '--yes'],
+    { arango, files: { 'jobs.json': jobs } });
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.output, /1 applied, 0 skipped \(precondition\), 0 errors/);
+  assert.strictEqual(arango.agencyValue('/arango/Target/Pending/1001'), undefined);
+  assert.strictEqual(arango.agencyValue('/arango/Target/Failed/1001').reason, 'aborted by abort-jobs');
+  assert.strictEqual(arango.agencyValue('/arango/Supervision/Shards/s2015'), undefined);
+  assert.ok(arango.agencyValue('/arango/Target/ToDo/1002'));
+});
+
+test('abort-jobs skips a job which has finished since the analysis', () => {
+  const jobs = stuckJobs();
+  const dump = fixtures.stuckJobs();
+  delete dump[0].arango.Target.ToDo['1002'];
+  const arango = createArango({ dump });
+  const result = runTask(['abort-jobs', 'jobs.json', '--yes'], { arango, files: { 'jobs.json': jobs } });
+
+  assert.strictEqual(result.status, 3);
+  assert.match(result.output, /1 applied, 1 skipped \(precondition\), 0 errors/);
+  assert.strictEqual(arango.agencyValue('/arango/Target/Failed/1002'), undefined);
+});
+
+test('abort-jobs refuses pending jobs which have already changed Plan', () => {
+  const jobs = stuckJobs();
+  const dump = fixtures.stuckJobs();
+  dump[0].arango.Plan.Collections.shop['1015'].shards.s2015.push('PRMR-cafecafe');
+  const arango = createArango({ dump });
+  const result = runTask(['abort-jobs', 'jobs.json', '--job-ids=1001', '--yes'],
+    { arango, files: { 'jobs.json': jobs } });
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.output, /WARNING: not aborting moveShard job 1001, it has already changed Plan/);
+  assert.strictEqual(arango.requestsTo('POST', '/_api/agency/write').length, 0);
+  assert.ok(arango.agencyValue('/arango/Target/Pending/1001'));
+});
+
+test('abort-jobs refuses pending jobs other than moveShard', () => {
+  const dump = fixtures.stuckJobs();
+  const target = dump[0].arango.Target;
+  target.Pending['1003'] = Object.assign({ timeStarted: '2021-01-20T09:51:00Z' }, target.ToDo['1003']);
+  delete target.ToDo['1003'];
+  const jobs = analyzeDump(dump, ['--max-job-age=1']).outputFile('stuck-jobs.json');
+  const arango = createArango({ dump });
+  const result = runTask(['abort-jobs', 'jobs.json', '--yes'], { arango, files: { 'jobs.json': jobs } });
+
+  assert.strictEqual(result.status, 3);
+  assert.match(result.output, /WARNING: not aborting cleanOutServer job 1003, it has already changed Plan/);
+  assert.match(result.output, /2 applied, 0 skipped \(precondition\), 0 errors/);
+  assert.ok(arango.agencyValue('/arango/Target/Pending/1003'));
+});
+
+test('abort-jobs aborts a moveShard only while the Plan of its shard is unchanged', () => {
+  const jobs = stuckJobs();
+  const arango = createArango({ dump: fixtures.stuckJobs() });
+  runTask(['abort-jobs', 'jobs.json', '--job-ids=1001', '--yes'], { arango, files: { 'jobs.json': jobs } });
+  const prec = arango.requestsTo('POST', '/_api/agency/write')[0].body[0][1];
+
+  assert.deepStrictEqual(prec['arango/Plan/Collections/shop/1015/shards/s2015'],
+    { old: fixtures.stuckJobs()[0].arango.Plan.Collections.shop['1015'].shards.s2015 });
+});
+
+test('abort-jobs rejects unknown job ids', () => {
+  const jobs = stuckJobs();
+  const result = runTask(['abort-jobs', 'jobs.json', '--job-ids=4711', '--yes'],
+    { arango: createArango({ dump: fixtures.stuckJobs() }), files: { 'jobs.json': jobs } });
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /Unknown job\(s\) 4711, the file contains: 1002, 1001/);
+});
+
+test('abort-jobs reports corrupted entries', () => {
+  const jobs = stuckJobs();
+  jobs[0].state = 'Finished';
+  const arango = createArango({ dump: fixtures.stuckJobs() });
+  const result = runTask(['abort-jobs', 'jobs.json', '--yes'], { arango, files: { 'jobs.json': jobs } });
+
+  assert.strictEqual(result.status, 3);
+  assert.match(result.output, /ERROR: corrupted entry in stuck jobs file/);
+  assert.match(result.output, /1 applied, 0 skipped \(precondition\), 0 errors/);
+});
+
+test('analyze ignores the failed server of failover jobs', () => {
+  const dump = fixtures.healthy();
+  const arango = dump[0].arango;
+  const job = { database: 'shop', collection: '1015', shard: 's2015', fromServer: 'PRMR-00000003',
+    creator: 'CRDN-00000001', timeCreated: '2021-01-20T09:58:00Z', timeStarted: '2021-01-20T09:59:00Z' };
+  arango.Supervision.Health['PRMR-00000003'].Status = 'FAILED';
+  arango.Target.Pending['3001'] = Object.assign({ type: 'failedLeader', jobId: '3001', toServer: 'PRMR-00000001' }, job);
+  arango.Target.Pending['3002'] = Object.assign({ type: 'failedFollower', jobId: '3002', toServer: 'PRMR-cafecafe' }, job);
+  const jobs = analyzeDump(dump).outputFile('stuck-jobs.json');
+
+  assert.deepStrictEqual(jobs.map((j) => [j.jobId, j.reasons]), [['3002', ['server PRMR-cafecafe is unknown']]]);
+});